@@ -1,73 +1,115 @@
-/*global browser, console*/
+/*global browser, console, srbTranslitEngine, srbTranslitStorage, srbTranslitRules*/
+
+const {getEnabledMap, setEnabledMap, getSettings, setSettings, getUserDictionary, setUserDictionary, syncNow} =
+  srbTranslitStorage;
+const {getHostname, registrableDomain, originPatternsForBase, findRule, findCoverage} = srbTranslitRules;
 
 /**
- * Execute a content script for transliteration in a given tab.
+ * Script detected by auto_* rules in the top frame of each tab, for the toolbar title.
+ */
+const detections = new Map();
+
+/**
+ * Inject the resident content script into every frame of a tab (a no-op
+ * where it already runs) and start transliteration in the given direction.
  *
- * @param {Object} tab - A tab object from browser.tabs API
+ * @param {Object} tab - A tab object from browser.tabs API; its URL picks the rule's selectors
  * @param {String} direction - The direction of transliteration: 'cyr_to_lat' or 'lat_to_cyr'
+ * @param {Object} [options]
+ * @param {Boolean} [options.auto=false] - Started by a site rule; paused or restored pages are left alone
+ * @param {String} [options.alphabet] - Alphabet profile: 'sr' (default), 'me' or 'mk'
+ * @param {Boolean} [options.guard=false] - Started by the global mode; pages in other languages are left alone
  */
-async function execute(tab, direction) {
-  const file = direction === 'cyr_to_lat' ? 'srbtranslit.js' : 'srbtranslitToCyr.js';
+async function execute(tab, direction, {auto = false, alphabet, guard = false} = {}) {
   try {
     await browser.scripting.executeScript({
       target: {
         tabId: tab.id,
         allFrames: true,
       },
-      files: [file],
+      files: [
+        'srbtranslitLexicon.js', 'srbtranslitEngine.js', 'srbtranslitStorage.js', 'srbtranslitDom.js',
+        'srbtranslitContent.js',
+      ],
     });
   } catch (err) {
     console.error(`[srbTranslit] failed to execute script: ${err}`);
   }
+  try {
+    // Shadow roots attached later are only visible from the page's own context
+    await browser.scripting.executeScript({
+      target: {
+        tabId: tab.id,
+        allFrames: true,
+      },
+      world: 'MAIN',
+      files: ['srbtranslitShadow.js'],
+    });
+  } catch (err) {
+    console.error(`[srbTranslit] failed to watch shadow roots: ${err}`);
+  }
+  const scope = await scopeForUrl(tab.url);
+  await sendToPage(tab, Object.assign({type: 'srb:pageStart', direction, alphabet, auto, guard}, scope));
+  await rememberDetection(tab.id);
 }
 
 /**
- * Given a URL string, extract the hostname.
+ * Send a control message to the content script in every frame of a tab.
  *
- * @param {String} url - The URL string
- * @return {String|null} The extracted hostname, or null if the URL is malformed
+ * @param {Object} tab - A tab object from browser.tabs API
+ * @param {Object} message - One of the srb:page* messages
+ * @return {Promise<Object|null>} The state reported by one of the frames, or null if none listens
  */
-function getHostname(url) {
+async function sendToPage(tab, message) {
   try {
-    const u = new URL(url);
-    return u.hostname;
-  } catch (e) {
+    return await browser.tabs.sendMessage(tab.id, message);
+  } catch (err) {
+    // Nothing was ever injected into this tab
     return null;
   }
 }
 
 /**
- * Extract the registrable domain (e.g., example.com) from a hostname.
+ * Put back the original text in a given tab and stop watching it for changes.
+ * Site rules do not convert the page again until the next full navigation.
  *
- * @param {String} hostname - The hostname string
- * @return {String|null} The extracted registrable domain
+ * @param {Object} tab - A tab object from browser.tabs API
  */
-function registrableDomain(hostname) {
-  if (!hostname) return null;
-  const parts = hostname.split('.');
-  if (parts.length <= 2) return hostname;
-  const tld = parts[parts.length - 1];
-  const sld = parts[parts.length - 2];
-  // Common second-level domains in Serbia and globally
-  const knownSecondLevel = new Set(['co', 'com', 'net', 'org', 'gov', 'edu', 'ac', 'in', 'rs']);
-  if (tld.length === 2 && knownSecondLevel.has(sld)) {
-    return parts.slice(-3).join('.');
+async function restore(tab) {
+  await sendToPage(tab, {type: 'srb:pageStop'});
+  await rememberDetection(tab.id);
+}
+
+/**
+ * Ask the top frame of a tab what its content script is doing.
+ *
+ * @param {Object} tab - A tab object from browser.tabs API
+ * @return {Promise<{status: String, direction: String|null}|null>} The state, or null if nothing runs
+ */
+async function pageState(tab) {
+  try {
+    return await browser.tabs.sendMessage(tab.id, {type: 'srb:pageState'}, {frameId: 0});
+  } catch (err) {
+    return null;
   }
-  return parts.slice(-2).join('.');
 }
 
 /**
- * Given a registrable domain, return origin patterns for permissions.
+ * Store what the top frame of a tab detected and show it in the toolbar title.
  *
- * @param {String} base - The registrable domain
- * @return {Array<String>} List of origin patterns
+ * @param {Number} tabId - The tab ID
  */
-function originPatternsForBase(base) {
-  if (!base) return [];
-  return [
-    `*://${base}/*`,
-    `*://*.${base}/*`,
-  ];
+async function rememberDetection(tabId) {
+  const state = await pageState({id: tabId});
+  if (state && state.detected) {
+    detections.set(tabId, state.detected);
+  } else {
+    detections.delete(tabId);
+  }
+  try {
+    const tab = await browser.tabs.get(tabId);
+    await updateActionIconForTab(tabId, tab.url || '');
+  } catch (_) {}
 }
 
 /**
@@ -122,67 +164,178 @@ async function notifyMissingPermission(base) {
 }
 
 /**
- * Get the map of enabled domains and their directions.
+ * Find the most specific enabled rule for a URL.
+ */
+async function findRuleForUrl(url) {
+  if (!getHostname(url)) return null;
+  return findRule(await getEnabledMap(), url);
+}
+
+/**
+ * Find what covers a URL: its rule, a block of the global mode, or the global mode.
+ *
+ * @return {Promise<{source: String, key: String|null, rule: Object|null}|null>} See srbTranslitRules.findCoverage()
+ */
+async function coverageForUrl(url) {
+  if (!getHostname(url)) return null;
+  const {global} = await getSettings();
+  return findCoverage(await getEnabledMap(), global, url);
+}
+
+/**
+ * Alphabet profile of the rule or global mode for a URL, used by one-shot runs as well.
+ */
+async function alphabetForUrl(url) {
+  const coverage = await coverageForUrl(url);
+  return coverage?.rule?.alphabet;
+}
+
+/**
+ * CSS selectors of the rule for a URL that limit conversion to parts of the
+ * page ("include") or keep it out of them ("exclude").
+ */
+async function scopeForUrl(url) {
+  const match = url ? await findRuleForUrl(url) : null;
+  return {include: match?.rule?.include || null, exclude: match?.rule?.exclude || null};
+}
+
+/**
+ * Start the element picker (srbtranslitPicker.js) in the top frame of a tab.
+ *
+ * @param {Object} tab - A tab object from browser.tabs API
+ * @param {String} mode - 'include' or 'exclude'
  */
-async function getEnabledMap() {
-  const {enabledDomains} = await browser.storage.local.get('enabledDomains');
-  if (Array.isArray(enabledDomains)) {
-    // Migration from old array format
-    const map = {};
-    for (const d of enabledDomains) map[d] = {direction: 'lat_to_cyr'};
-    return map;
+async function pickElement(tab, mode) {
+  const target = {tabId: tab.id, frameIds: [0]};
+  try {
+    await browser.scripting.executeScript({target, files: ['srbtranslitPicker.js']});
+    await browser.scripting.executeScript({
+      target,
+      func: (name) => window.srbTranslitPicker.start(name),
+      args: [mode],
+    });
+  } catch (err) {
+    console.error(`[srbTranslit] failed to start the element picker: ${err}`);
   }
-  return enabledDomains || {};
 }
 
-async function setEnabledMap(map) {
-  await browser.storage.local.set({enabledDomains: map});
+/**
+ * Run an action of the editing helper (srbtranslitTyping.js) in a tab.
+ *
+ * @param {Object} tab - A tab object from browser.tabs API
+ * @param {String} action - 'toggleFocused', 'convertFocused' or 'convertSelection'
+ * @param {Array} [args] - Arguments for the action
+ * @param {Number} [frameId] - Only this frame; all frames when omitted
+ */
+async function editingAction(tab, action, args = [], frameId) {
+  const target = frameId === undefined
+    ? {tabId: tab.id, allFrames: true}
+    : {tabId: tab.id, frameIds: [frameId]};
+  try {
+    await browser.scripting.executeScript({
+      target,
+      files: ['srbtranslitLexicon.js', 'srbtranslitEngine.js', 'srbtranslitStorage.js', 'srbtranslitTyping.js'],
+    });
+    await browser.scripting.executeScript({
+      target,
+      func: (name, params) => window.srbTranslitTyping[name](...params),
+      args: [action, args],
+    });
+  } catch (err) {
+    console.error(`[srbTranslit] failed to run ${action}: ${err}`);
+  }
 }
 
-async function findRuleForUrl(url) {
-  const host = getHostname(url);
-  if (!host) return null;
-  const map = await getEnabledMap();
-  const base = registrableDomain(host);
-  if (map[base]) return {key: base, rule: map[base]};
-  // Fallback for subdomains if not matched by base
-  for (const key of Object.keys(map)) {
-    if (host === key || host.endsWith('.' + key)) {
-      return {key, rule: map[key]};
-    }
+/**
+ * Ask the user, inside the page, for the correct transliteration of a word and
+ * store the pair in the user dictionary.
+ *
+ * @param {Object} tab - The tab the selection was made in
+ * @param {String} selection - The selected word or phrase
+ */
+async function learnWord(tab, selection) {
+  const word = (selection || '').trim();
+  if (!word) return;
+  const isCyrillic = /[\u0400-\u04FF]/.test(word);
+  const alphabet = await alphabetForUrl(tab.url);
+  const suggestion = isCyrillic
+    ? srbTranslitEngine.toLatin(word, {alphabet})
+    : srbTranslitEngine.toCyrillic(word, {protect: false, alphabet});
+  let answer = null;
+  try {
+    const [result] = await browser.scripting.executeScript({
+      target: {tabId: tab.id},
+      func: (w, s) => window.prompt(`srbTranslit: ispravno preslovljavanje za „${w}“`, s),
+      args: [word, suggestion],
+    });
+    answer = result && result.result;
+  } catch (err) {
+    console.error(`[srbTranslit] failed to ask for a transliteration: ${err}`);
   }
-  return null;
+  if (!answer || !answer.trim()) return;
+
+  const entry = isCyrillic
+    ? {latin: answer.trim(), cyrillic: word}
+    : {latin: word, cyrillic: answer.trim()};
+  const list = await getUserDictionary();
+  const existing = list.findIndex((e) => e[isCyrillic ? 'cyrillic' : 'latin'] === word);
+  if (existing !== -1) list[existing] = entry;
+  else list.push(entry);
+  await setUserDictionary(list);
 }
 
+// Rule directions and detected scripts as shown in the toolbar title
+const DIRECTION_TITLES = {
+  lat_to_cyr: 'to Cyrillic',
+  cyr_to_lat: 'to Latin',
+  auto_cyr: 'always Cyrillic',
+  auto_lat: 'always Latin',
+};
+const SCRIPT_TITLES = {cyrillic: 'Cyrillic', latin: 'Latin'};
+// Badge of pages covered by the global mode and of pages it is blocked on;
+// pages with their own rule have none
+const COVERAGE_BADGES = {
+  global: {text: 'ALL', color: '#0060df'},
+  blocked: {text: 'OFF', color: '#737373'},
+};
+
 /**
  * Updates the icon, title, and badge for a tab based on its state.
  */
 async function updateActionIconForTab(tabId, url) {
   try {
-    const match = await findRuleForUrl(url);
-    const enabled = !!match;
-    const dir = match?.rule?.direction || 'lat_to_cyr';
+    const coverage = await coverageForUrl(url);
+    const source = coverage?.source || null;
+    const enabled = source === 'rule' || source === 'global';
+    const dir = coverage?.rule?.direction || 'lat_to_cyr';
     
     await browser.action.setIcon({tabId, path: enabled ? 'is-on.png' : 'is-off.png'});
     
-    let title = enabled 
-      ? `srbTranslit: enabled (${dir === 'lat_to_cyr' ? 'to Latin' : 'to Cyrillic'})` 
-      : 'srbTranslit: click to enable on this domain';
+    let title = 'srbTranslit: click to enable on this domain';
+    if (source === 'rule') {
+      title = `srbTranslit: enabled (${DIRECTION_TITLES[dir] || dir})`;
+    } else if (source === 'global') {
+      title = `srbTranslit: on everywhere (${DIRECTION_TITLES[dir] || dir})`;
+    } else if (source === 'blocked') {
+      title = `srbTranslit: on everywhere except here (blocked by ${coverage.key})`;
+    }
+    const detected = detections.get(tabId);
+    if (enabled && detected && detected.script !== 'unknown') {
+      title += ` · detected ${SCRIPT_TITLES[detected.script]} ${Math.round(detected.confidence * 100)}%`;
+    }
     
+    let badge = COVERAGE_BADGES[source] || {text: ''};
     if (enabled) {
       const host = getHostname(url);
       const base = registrableDomain(host);
       const hasPerm = await hasOrigins(originPatternsForBase(base));
       if (!hasPerm) {
         title = `srbTranslit: needs permission for ${base}. Click to grant.`;
-        await browser.action.setBadgeText({tabId, text: '!'});
-        await browser.action.setBadgeBackgroundColor({tabId, color: '#d0021b'});
-      } else {
-        await browser.action.setBadgeText({tabId, text: ''});
+        badge = {text: '!', color: '#d0021b'};
       }
-    } else {
-      await browser.action.setBadgeText({tabId, text: ''});
     }
+    await browser.action.setBadgeText({tabId, text: badge.text});
+    if (badge.color) await browser.action.setBadgeBackgroundColor({tabId, color: badge.color});
     await browser.action.setTitle({tabId, title});
   } catch (e) {}
 }
@@ -201,11 +354,67 @@ browser.contextMenus.create({
   contexts: ["page"],
 });
 
+browser.contextMenus.create({
+  id: "restore-original",
+  title: "Vrati original (Alt+Shift+R)",
+  contexts: ["page"],
+});
+
+browser.contextMenus.create({
+  id: "learn-word",
+  title: "Nauči preslovljavanje za „%s“",
+  contexts: ["selection"],
+});
+
+browser.contextMenus.create({
+  id: "selection-to-lat",
+  title: "Kopiraj označeno kao latinicu",
+  contexts: ["selection"],
+});
+
+browser.contextMenus.create({
+  id: "selection-to-cyr",
+  title: "Копирај означено као ћирилицу",
+  contexts: ["selection"],
+});
+
+browser.contextMenus.create({
+  id: "field-to-cyr",
+  title: "Преслови садржај поља у ћирилицу",
+  contexts: ["editable"],
+});
+
+browser.contextMenus.create({
+  id: "field-to-lat",
+  title: "Preslovi sadržaj polja u latinicu",
+  contexts: ["editable"],
+});
+
+browser.contextMenus.create({
+  id: "field-live-typing",
+  title: "Preslovljavaj dok kucam u ovom polju (Alt+Shift+K)",
+  contexts: ["editable"],
+});
+
 browser.contextMenus.onClicked.addListener(async (info, tab) => {
   if (info.menuItemId === "transliterate-to-lat") {
-    await execute(tab, 'cyr_to_lat');
+    await execute(tab, 'cyr_to_lat', {alphabet: await alphabetForUrl(tab.url)});
   } else if (info.menuItemId === "transliterate-to-cyr") {
-    await execute(tab, 'lat_to_cyr');
+    await execute(tab, 'lat_to_cyr', {alphabet: await alphabetForUrl(tab.url)});
+  } else if (info.menuItemId === "restore-original") {
+    await restore(tab);
+  } else if (info.menuItemId === "learn-word") {
+    await learnWord(tab, info.selectionText);
+  } else if (info.menuItemId === "selection-to-lat") {
+    await editingAction(tab, 'convertSelection', ['cyr_to_lat', await alphabetForUrl(tab.url)], info.frameId);
+  } else if (info.menuItemId === "selection-to-cyr") {
+    await editingAction(tab, 'convertSelection', ['lat_to_cyr', await alphabetForUrl(tab.url)], info.frameId);
+  } else if (info.menuItemId === "field-to-cyr") {
+    await editingAction(tab, 'convertFocused', ['lat_to_cyr', await alphabetForUrl(tab.url)], info.frameId);
+  } else if (info.menuItemId === "field-to-lat") {
+    await editingAction(tab, 'convertFocused', ['cyr_to_lat', await alphabetForUrl(tab.url)], info.frameId);
+  } else if (info.menuItemId === "field-live-typing") {
+    await editingAction(tab, 'toggleFocused', [await alphabetForUrl(tab.url)], info.frameId);
   }
 });
 
@@ -220,11 +429,11 @@ browser.action.onClicked.addListener(async (tab) => {
     const hasPerm = await hasOrigins(originPatternsForBase(base));
     if (!hasPerm) {
       const granted = await ensurePermissionForBase(base, true);
-      if (granted) await execute(tab, match.rule.direction);
+      if (granted) await execute(tab, match.rule.direction, {alphabet: match.rule.alphabet});
     } else {
       // Toggle off
       const map = await getEnabledMap();
-      delete map[base];
+      delete map[match.key];
       await setEnabledMap(map);
     }
   } else {
@@ -239,28 +448,69 @@ browser.action.onClicked.addListener(async (tab) => {
 
 async function maybeAutoTransliterate(details) {
   if (details.frameId !== 0) return;
-  const match = await findRuleForUrl(details.url);
-  if (match) {
+  const coverage = await coverageForUrl(details.url);
+  if (coverage && coverage.rule) {
     const base = registrableDomain(getHostname(details.url));
     const hasPerm = await hasOrigins(originPatternsForBase(base));
     if (hasPerm) {
-      await execute({id: details.tabId}, match.rule.direction);
-    } else {
+      await execute({id: details.tabId, url: details.url}, coverage.rule.direction,
+        {auto: true, alphabet: coverage.rule.alphabet, guard: coverage.source === 'global'});
+    } else if (coverage.source === 'rule') {
+      // The global mode would notify on every site; its missing access shows on the badge
       await notifyMissingPermission(base);
     }
   }
 }
 
+/**
+ * Follow an SPA route change (history.pushState) in the top frame: a rule's
+ * run that no rule covers any more is put back, and a route covered by
+ * another rule switches the page to it (see srbtranslitContent.js start()).
+ * Runs the user started are left alone.
+ */
+async function followHistoryState(details) {
+  if (details.frameId !== 0) return;
+  const coverage = await coverageForUrl(details.url);
+  if (!coverage || !coverage.rule) {
+    await sendToPage({id: details.tabId}, {type: 'srb:pageStop', auto: true});
+    await rememberDetection(details.tabId);
+    return;
+  }
+  await maybeAutoTransliterate(details);
+}
+
 browser.webNavigation.onCommitted.addListener(maybeAutoTransliterate);
-browser.webNavigation.onHistoryStateUpdated.addListener(maybeAutoTransliterate);
+browser.webNavigation.onHistoryStateUpdated.addListener(followHistoryState);
 browser.webNavigation.onCompleted.addListener(maybeAutoTransliterate);
 
 browser.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
   if (changeInfo.status === 'loading' || changeInfo.url) {
+    // A new page is sampled again when its rule runs
+    if (changeInfo.status === 'loading') detections.delete(tabId);
     await updateActionIconForTab(tabId, tab.url || '');
   }
 });
 
+// Rules or the global mode edited on the options page or imported from a file
+browser.storage.onChanged.addListener(async (changes, area) => {
+  if (area !== 'local' || !(changes.enabledDomains || changes.settings)) return;
+  try {
+    const tabs = await browser.tabs.query({active: true});
+    for (const tab of tabs) await updateActionIconForTab(tab.id, tab.url || '');
+  } catch (_) {}
+});
+
+// Rules, settings or the dictionary changed on another device; the merge
+// writes storage.local, which refreshes the icons above
+browser.storage.onChanged.addListener((changes, area) => {
+  if (area === 'sync' && changes.syncMeta) syncNow();
+});
+syncNow();
+
+browser.tabs.onRemoved.addListener((tabId) => {
+  detections.delete(tabId);
+});
+
 browser.tabs.onActivated.addListener(async ({tabId}) => {
   try {
     const tab = await browser.tabs.get(tabId);
@@ -281,34 +531,40 @@ browser.commands.onCommand.addListener(async (command) => {
 
     const match = await findRuleForUrl(tab.url);
     const map = await getEnabledMap();
+    const key = match ? match.key : base;
     
     if (match) {
       // Rotate directions: to Latin -> to Cyrillic -> Off
       if (match.rule.direction === 'cyr_to_lat') {
-        map[base].direction = 'lat_to_cyr';
+        map[key].direction = 'lat_to_cyr';
       } else {
-        delete map[base];
+        delete map[key];
       }
     } else {
-      map[base] = {direction: 'cyr_to_lat'};
+      map[key] = {direction: 'cyr_to_lat'};
     }
     
     await setEnabledMap(map);
     await updateActionIconForTab(tab.id, tab.url);
     
-    const newMatch = map[base];
+    const newMatch = map[key];
     if (newMatch) {
       const hasPerm = await hasOrigins(originPatternsForBase(base));
       if (hasPerm) {
-        await execute(tab, newMatch.direction);
+        await execute(tab, newMatch.direction, {alphabet: newMatch.alphabet});
       } else {
         await ensurePermissionForBase(base, true);
       }
     }
   } else if (command === "run-to-latin") {
-    await execute(tab, 'cyr_to_lat');
+    await execute(tab, 'cyr_to_lat', {alphabet: await alphabetForUrl(tab.url)});
   } else if (command === "run-to-cyrillic") {
-    await execute(tab, 'lat_to_cyr');
+    await execute(tab, 'lat_to_cyr', {alphabet: await alphabetForUrl(tab.url)});
+  } else if (command === "restore-original") {
+    await restore(tab);
+  } else if (command === "toggle-live-typing") {
+    // Every frame is asked; only the one holding the focused field acts
+    await editingAction(tab, 'toggleFocused', [await alphabetForUrl(tab.url)]);
   }
 });
 
@@ -322,42 +578,112 @@ browser.runtime.onMessage.addListener((message, sender) => {
     const base = registrableDomain(host);
 
     switch (message?.type) {
-      case 'srb:getState': {
-        const match = url ? await findRuleForUrl(url) : null;
-        const hasPerm = base ? await hasOrigins(originPatternsForBase(base)) : false;
-        return {
-          url,
-          domain: base || host || '',
-          hasPermission: !!hasPerm,
-          ruleDirection: match?.rule?.direction || null,
-          hasRule: !!match,
-        };
+    case 'srb:getState': {
+      const match = url ? await findRuleForUrl(url) : null;
+      const coverage = url ? await coverageForUrl(url) : null;
+      const hasPerm = base ? await hasOrigins(originPatternsForBase(base)) : false;
+      return {
+        coverage: coverage?.source || null,
+        blockedBy: coverage?.source === 'blocked' ? coverage.key : null,
+        globalEnabled: !!(await getSettings()).global.enabled,
+        url,
+        domain: base || host || '',
+        ruleKey: match?.key || null,
+        hasPermission: !!hasPerm,
+        ruleDirection: match?.rule?.direction || null,
+        ruleAlphabet: match?.rule?.alphabet || null,
+        hasRule: !!match,
+        page: tab ? await pageState(tab) : null,
+      };
+    }
+    case 'srb:setRule': {
+      if (!tab || !base) return {ok: false};
+      const match = await findRuleForUrl(url);
+      const map = await getEnabledMap();
+      // Update the rule that applies here (it may be a path rule) or add one for the domain
+      const key = message.key || match?.key || base;
+      const rule = Object.assign({}, map[key], {direction: message.direction});
+      if (message.alphabet) rule.alphabet = message.alphabet;
+      map[key] = rule;
+      await setEnabledMap(map);
+      await updateActionIconForTab(tab.id, url);
+      if (message.run) {
+        const hasPerm = await hasOrigins(originPatternsForBase(base));
+        if (hasPerm) await execute(tab, message.direction, {alphabet: message.alphabet});
       }
-      case 'srb:setRule': {
-        if (!tab || !base) return {ok: false};
-        const map = await getEnabledMap();
-        map[base] = {direction: message.direction};
-        await setEnabledMap(map);
-        await updateActionIconForTab(tab.id, url);
-        if (message.run) {
-          const hasPerm = await hasOrigins(originPatternsForBase(base));
-          if (hasPerm) await execute(tab, message.direction);
-        }
-        return {ok: true};
+      return {ok: true};
+    }
+    case 'srb:removeRule': {
+      const match = url ? await findRuleForUrl(url) : null;
+      if (!match) return {ok: false};
+      const map = await getEnabledMap();
+      delete map[match.key];
+      await setEnabledMap(map);
+      await updateActionIconForTab(tab.id, url);
+      return {ok: true};
+    }
+    case 'srb:runOnce': {
+      if (!tab) return {ok: false};
+      await execute(tab, message.direction, {alphabet: message.alphabet});
+      return {ok: true};
+    }
+    case 'srb:restore': {
+      if (!tab) return {ok: false};
+      await restore(tab);
+      return {ok: true};
+    }
+    case 'srb:block': {
+      // Add the site to the global mode's blocklist, or drop the entry that blocks it
+      if (!tab || !base) return {ok: false};
+      const settings = await getSettings();
+      const coverage = await coverageForUrl(url);
+      const global = Object.assign({}, settings.global);
+      if (message.blocked) {
+        global.blocklist = global.blocklist.concat([base]);
+      } else {
+        global.blocklist = global.blocklist.filter((key) => key !== coverage?.key);
       }
-      case 'srb:removeRule': {
-        if (!base) return {ok: false};
-        const map = await getEnabledMap();
-        delete map[base];
-        await setEnabledMap(map);
-        await updateActionIconForTab(tab.id, url);
-        return {ok: true};
+      await setSettings(Object.assign(settings, {global}));
+      await updateActionIconForTab(tab.id, url);
+      if (message.blocked && coverage?.source === 'global') {
+        await restore(tab);
+      } else if (!message.blocked && global.enabled && await hasOrigins(originPatternsForBase(base))) {
+        await execute(tab, global.direction, {alphabet: global.alphabet});
       }
-      case 'srb:runOnce': {
-        if (!tab) return {ok: false};
-        await execute(tab, message.direction);
-        return {ok: true};
+      return {ok: true};
+    }
+    case 'srb:pick': {
+      if (!tab || !(await findRuleForUrl(url))) return {ok: false};
+      await pickElement(tab, message.mode);
+      return {ok: true};
+    }
+    case 'srb:pickSave': {
+      // Sent by the picker from inside the page
+      const pageTab = sender.tab || tab;
+      const match = pageTab ? await findRuleForUrl(pageTab.url) : null;
+      if (!match || (message.mode !== 'include' && message.mode !== 'exclude') || !message.selector) {
+        return {ok: false};
+      }
+      const map = await getEnabledMap();
+      const rule = Object.assign({}, map[match.key]);
+      rule[message.mode] = rule[message.mode] ? `${rule[message.mode]}, ${message.selector}` : message.selector;
+      map[match.key] = rule;
+      await setEnabledMap(map);
+      if (await hasOrigins(originPatternsForBase(registrableDomain(getHostname(pageTab.url))))) {
+        await execute(pageTab, rule.direction, {alphabet: rule.alphabet});
       }
+      return {ok: true};
+    }
+    case 'srb:pause': {
+      if (!tab) return {ok: false};
+      await sendToPage(tab, {type: 'srb:pagePause'});
+      return {ok: true};
+    }
+    case 'srb:resume': {
+      if (!tab) return {ok: false};
+      await sendToPage(tab, {type: 'srb:pageResume'});
+      return {ok: true};
+    }
     }
   };
   return handleMessage();
@@ -0,0 +1,142 @@
+/*eslint-env es6*/
+/*global window, document, performance, NodeFilter, srbTranslitEngine, srbTranslitDom*/
+(function () {
+  'use strict';
+
+  // Benchmark for converting a very large page. Open bench/index.html from
+  // the repository in a browser; the results are written into the page.
+
+  const engine = srbTranslitEngine;
+  const params = new URLSearchParams(window.location.search);
+  const mode = params.get('mode');
+  const count = Math.max(1, parseInt(params.get('count'), 10) || 20000);
+
+  const WORDS = ['ljubav', 'njegov', 'džem', 'đak', 'šuma', 'čovek', 'ćup', 'žaba', 'odjednom', 'konjunkcija',
+    'forum', 'tema', 'odgovor', 'korisnik', 'poruka', 'juče', 'danas', 'Beograd', 'Novi', 'Sad', 'Niš',
+    'i', 'u', 'na', 'je', 'da', 'se', 'za', 'ali', 'kao', 'sa'];
+
+  // The conversion as it was before the lookup tables: one alternation regex per map
+  const SEQ_REGEX = new RegExp(Object.keys(engine.SEQ_MAP_LAT2CYR).join('|'), 'g');
+  const SINGLE_REGEX = new RegExp(Object.keys(engine.SINGLE_MAP_LAT2CYR).join('|'), 'g');
+
+  function legacyToCyrillic(text) {
+    if (!text || !text.trim()) return text;
+    return engine.applyExceptions(text)
+      .replace(SEQ_REGEX, m => engine.SEQ_MAP_LAT2CYR[m])
+      .replace(SINGLE_REGEX, m => engine.SINGLE_MAP_LAT2CYR[m]);
+  }
+
+  function currentToCyrillic(text) {
+    if (!text || !text.trim()) return text;
+    return engine.mapLatinToCyrillic(engine.applyExceptions(text));
+  }
+
+  /**
+   * Same paragraphs on every load: a fixed-seed linear congruential generator.
+   * @returns {Array<string>} The paragraph texts.
+   */
+  function generateTexts() {
+    let seed = 42;
+    const random = () => {
+      seed = (seed * 1103515245 + 12345) % 2147483648;
+      return seed / 2147483648;
+    };
+    const texts = [];
+    for (let i = 0; i < count; i++) {
+      const words = [];
+      const length = 8 + Math.floor(random() * 30);
+      for (let j = 0; j < length; j++) words.push(WORDS[Math.floor(random() * WORDS.length)]);
+      texts.push(`#${i + 1} ` + words.join(' ') + '.');
+    }
+    return texts;
+  }
+
+  function print(line) {
+    document.getElementById('results').textContent += line + '\n';
+  }
+
+  function ms(value) {
+    return value.toFixed(1) + ' ms';
+  }
+
+  /**
+   * Runs a conversion and follows it frame by frame until done() holds.
+   * The longest gap between two frames is how long the tab was frozen.
+   * @param {string} label - Name of the run.
+   * @param {function()} run - Starts the conversion.
+   * @param {function(): boolean} done - Whether everything is converted.
+   */
+  function measure(label, run, done) {
+    const started = performance.now();
+    run();
+    const blocked = performance.now() - started;
+    let last = started;
+    let longest = 0;
+    window.requestAnimationFrame(function frame(now) {
+      longest = Math.max(longest, now - last);
+      last = now;
+      if (!done()) {
+        window.requestAnimationFrame(frame);
+        return;
+      }
+      print(`${label}, ${count} pasusa`);
+      print(`  blokirano pri pokretanju:  ${ms(blocked)}`);
+      print(`  najduži zastoj između slika: ${ms(longest)}`);
+      print(`  sve preslovljeno posle:     ${ms(now - started)}`);
+    });
+  }
+
+  function legacyRun(root) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, null, false);
+    const nodes = [];
+    let node;
+    while ((node = walker.nextNode())) {
+      if (!srbTranslitDom.shouldSkipNode(node) && node.nodeValue.trim() !== '') nodes.push(node);
+    }
+    nodes.forEach(node => {
+      node.nodeValue = legacyToCyrillic(node.nodeValue);
+    });
+  }
+
+  function benchStrings(texts) {
+    const rounds = 5;
+    [['staro (regex)', legacyToCyrillic], ['novo (tabela znakova)', currentToCyrillic]].forEach(([label, convert]) => {
+      const times = [];
+      for (let r = 0; r < rounds; r++) {
+        const started = performance.now();
+        texts.forEach(convert);
+        times.push(performance.now() - started);
+      }
+      times.sort((a, b) => a - b);
+      print(`${label}: medijana ${ms(times[Math.floor(rounds / 2)])} za ${count} pasusa`);
+    });
+  }
+
+  const texts = generateTexts();
+  if (mode === 'strings') {
+    benchStrings(texts);
+    return;
+  }
+  if (mode !== 'legacy' && mode !== 'chunked') return;
+
+  const content = document.getElementById('content');
+  const fragment = document.createDocumentFragment();
+  texts.forEach(text => {
+    const p = document.createElement('p');
+    p.textContent = text;
+    fragment.appendChild(p);
+  });
+  content.appendChild(fragment);
+  const lastNode = content.lastChild.firstChild;
+  const lastText = lastNode.nodeValue;
+  const done = () => lastNode.nodeValue !== lastText;
+
+  // Let the generated page render first, so only the conversion is measured
+  window.setTimeout(function () {
+    if (mode === 'legacy') {
+      measure('staro', () => legacyRun(content), done);
+    } else {
+      measure('novo', () => srbTranslitDom.start(currentToCyrillic), done);
+    }
+  }, 500);
+})();
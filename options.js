@@ -0,0 +1,700 @@
+/* global browser, srbTranslitEngine, srbTranslitStorage, srbTranslitRules */
+
+const {
+  getEnabledMap,
+  setEnabledMap,
+  getSettings,
+  setSettings,
+  getUserDictionary,
+  setUserDictionary,
+  getSyncEnabled,
+  setSyncEnabled,
+  getSyncStatus,
+} = srbTranslitStorage;
+
+const DIRECTION_LABELS = {
+  lat_to_cyr: 'Latinica → Ćirilica',
+  cyr_to_lat: 'Ćirilica → Latinica',
+  auto_cyr: 'Uvek ćirilica (prepoznaj pismo)',
+  auto_lat: 'Uvek latinica (prepoznaj pismo)',
+};
+
+const ALPHABET_LABELS = {
+  sr: 'Srpska',
+  me: 'Crnogorska',
+  mk: 'Makedonska',
+};
+
+/**
+ * Returns an element from the options page with the given ID.
+ *
+ * @param {string} id The ID of the element to retrieve.
+ * @return {HTMLElement} The element with the given ID.
+ */
+function qs(id) {
+  return document.getElementById(id);
+}
+
+/**
+ * Updates the hint text on the options page.
+ *
+ * @param {string} text The new hint text.
+ */
+function setHint(text) {
+  qs('hint').textContent = text || '';
+}
+
+/**
+ * Checks whether host access has been granted for a rule.
+ *
+ * @param {string} key The rule's domain or URL pattern.
+ * @return {Promise<boolean>} True if any of its origins is granted.
+ */
+async function hasPermission(key) {
+  try {
+    for (const origin of srbTranslitRules.originPatternsForKey(key)) {
+      if (await browser.permissions.contains({origins: [origin]})) return true;
+    }
+  } catch (e) {
+    // Treat malformed patterns as not granted
+  }
+  return false;
+}
+
+/**
+ * Creates a select with the given options, preset to the given value.
+ *
+ * @param {Object<string, string>} labels Option values and their labels.
+ * @param {string} value The selected value.
+ * @return {HTMLSelectElement} The select element.
+ */
+function labelSelect(labels, value) {
+  const select = document.createElement('select');
+  for (const [key, label] of Object.entries(labels)) {
+    const option = document.createElement('option');
+    option.value = key;
+    option.textContent = label;
+    select.appendChild(option);
+  }
+  select.value = value;
+  return select;
+}
+
+/**
+ * Show every domain rule with its direction and permission status.
+ */
+async function renderRules() {
+  const map = await getEnabledMap();
+  const tbody = qs('ruleRows');
+  tbody.textContent = '';
+  qs('selectAll').checked = false;
+  const domains = Object.keys(map).sort();
+  for (const domain of domains) {
+    const tr = document.createElement('tr');
+    tr.dataset.domain = domain;
+
+    const pick = document.createElement('td');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'rule-pick';
+    pick.appendChild(checkbox);
+    tr.appendChild(pick);
+
+    const name = document.createElement('td');
+    name.textContent = domain;
+    tr.appendChild(name);
+
+    const dir = document.createElement('td');
+    const select = labelSelect(DIRECTION_LABELS, map[domain].direction);
+    select.addEventListener('change', async () => {
+      const current = await getEnabledMap();
+      current[domain] = Object.assign({}, current[domain], {direction: select.value});
+      await setEnabledMap(current);
+      setHint(`${domain}: ${DIRECTION_LABELS[select.value]}`);
+    });
+    dir.appendChild(select);
+    tr.appendChild(dir);
+
+    const abc = document.createElement('td');
+    const alphabet = labelSelect(ALPHABET_LABELS, map[domain].alphabet || 'sr');
+    alphabet.addEventListener('change', async () => {
+      const current = await getEnabledMap();
+      current[domain] = Object.assign({}, current[domain], {alphabet: alphabet.value});
+      await setEnabledMap(current);
+      setHint(`${domain}: ${ALPHABET_LABELS[alphabet.value]} azbuka`);
+    });
+    abc.appendChild(alphabet);
+    tr.appendChild(abc);
+
+    const perm = document.createElement('td');
+    if (await hasPermission(domain)) {
+      perm.textContent = 'Data';
+      perm.className = 'perm-ok';
+    } else {
+      const grant = document.createElement('button');
+      grant.textContent = 'Daj dozvolu';
+      grant.addEventListener('click', async () => {
+        try {
+          await browser.permissions.request({origins: srbTranslitRules.originPatternsForKey(domain)});
+        } catch (e) {
+          setHint('Greška pri zahtevu za dozvolu.');
+        }
+        await renderRules();
+      });
+      perm.className = 'perm-missing';
+      perm.appendChild(grant);
+    }
+    tr.appendChild(perm);
+
+    const actions = document.createElement('td');
+    const remove = document.createElement('button');
+    remove.textContent = 'Obriši';
+    remove.addEventListener('click', async () => {
+      const current = await getEnabledMap();
+      delete current[domain];
+      await setEnabledMap(current);
+      await renderRules();
+    });
+    actions.appendChild(remove);
+    tr.appendChild(actions);
+
+    tbody.appendChild(tr);
+    tbody.appendChild(scopeRow(domain, map[domain]));
+  }
+  if (!domains.length) {
+    const tr = document.createElement('tr');
+    const td = document.createElement('td');
+    td.colSpan = 6;
+    td.textContent = 'Još nema pravila. Dodaj domen ispod ili ga uključi iz iskačućeg prozora.';
+    tr.appendChild(td);
+    tbody.appendChild(tr);
+  }
+}
+
+// Selector fields of a rule, see srbTranslitDom.start()
+const SCOPE_LABELS = {
+  include: 'Samo unutar',
+  exclude: 'Nikad unutar',
+};
+
+/**
+ * Build the row under a rule with its "only inside" and "never inside" CSS
+ * selectors. An empty field removes the selector from the rule.
+ *
+ * @param {string} domain The rule key.
+ * @param {Object} rule The rule.
+ * @return {HTMLTableRowElement} The row.
+ */
+function scopeRow(domain, rule) {
+  const tr = document.createElement('tr');
+  tr.className = 'rule-scope';
+  tr.appendChild(document.createElement('td'));
+  const td = document.createElement('td');
+  td.colSpan = 5;
+  Object.keys(SCOPE_LABELS).forEach((field) => {
+    const label = document.createElement('label');
+    label.textContent = `${SCOPE_LABELS[field]}: `;
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.placeholder = field === 'include' ? 'article, .post-body' : '.username, .sku';
+    input.value = rule[field] || '';
+    input.addEventListener('change', async () => {
+      const selector = input.value.trim();
+      try {
+        if (selector) document.createDocumentFragment().querySelector(selector);
+      } catch (e) {
+        setHint(`${domain}: neispravan CSS selektor „${selector}“`);
+        return;
+      }
+      const current = await getEnabledMap();
+      if (!current[domain]) return;
+      current[domain] = Object.assign({}, current[domain], {[field]: selector});
+      if (!selector) delete current[domain][field];
+      await setEnabledMap(current);
+      setHint(`${domain}: ${SCOPE_LABELS[field].toLowerCase()} ${selector || '(bilo gde)'}`);
+    });
+    label.appendChild(input);
+    td.appendChild(label);
+  });
+  tr.appendChild(td);
+  return tr;
+}
+
+/**
+ * Returns the domains whose row checkbox is ticked.
+ *
+ * @return {string[]} The selected domains.
+ */
+function pickedDomains() {
+  return Array.from(document.querySelectorAll('#ruleRows tr'))
+    .filter((tr) => tr.querySelector('.rule-pick')?.checked)
+    .map((tr) => tr.dataset.domain);
+}
+
+/**
+ * Add or overwrite the rule typed into the new-rule row.
+ */
+async function onAddRule() {
+  const domain = qs('newDomain').value.trim().toLowerCase().replace(/^[a-z]+:\/\//, '');
+  if (!domain) return;
+  if (!srbTranslitRules.parsePattern(domain)) {
+    setHint(`Neispravno pravilo: ${domain}`);
+    return;
+  }
+  const map = await getEnabledMap();
+  map[domain] = {direction: qs('newDirection').value, alphabet: qs('newAlphabet').value};
+  await setEnabledMap(map);
+  qs('newDomain').value = '';
+  setHint(`Dodato pravilo za ${domain}.`);
+  await renderRules();
+}
+
+/**
+ * Set the chosen direction on every ticked rule.
+ */
+async function onBulkApply() {
+  const domains = pickedDomains();
+  if (!domains.length) return;
+  const direction = qs('bulkDirection').value;
+  const map = await getEnabledMap();
+  for (const domain of domains) {
+    map[domain] = Object.assign({}, map[domain], {direction});
+  }
+  await setEnabledMap(map);
+  setHint(`Promenjen smer za ${domains.length} domen(a).`);
+  await renderRules();
+}
+
+/**
+ * Delete every ticked rule.
+ */
+async function onBulkDelete() {
+  const domains = pickedDomains();
+  if (!domains.length) return;
+  const map = await getEnabledMap();
+  for (const domain of domains) delete map[domain];
+  await setEnabledMap(map);
+  setHint(`Obrisano ${domains.length} pravila.`);
+  await renderRules();
+}
+
+/**
+ * Download the whole configuration as a JSON file.
+ */
+async function onExport() {
+  const config = await srbTranslitStorage.exportConfig();
+  const blob = new Blob([JSON.stringify(config, null, 2)], {type: 'application/json'});
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `srbtranslit-${new Date().toISOString().slice(0, 10)}.json`;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Replace the configuration with the one from the chosen file.
+ */
+async function onImportFile() {
+  const file = qs('importFile').files[0];
+  qs('importFile').value = '';
+  if (!file) return;
+  try {
+    const data = JSON.parse(await file.text());
+    const config = await srbTranslitStorage.importConfig(data);
+    setHint(`Uvezeno: ${Object.keys(config.enabledDomains).length} pravila, ` +
+      `${config.userDictionary.length} reči u rečniku.`);
+  } catch (e) {
+    setHint(`Uvoz nije uspeo:\n${e.message}`);
+  }
+  await renderAll();
+}
+
+/**
+ * Re-read storage and refresh every section.
+ */
+async function renderAll() {
+  await Promise.all([
+    renderRules(), renderProtect(), renderAttributes(), renderLang(), renderRepair(), renderTooltip(), renderLatin(),
+    renderTyping(), renderDictionary(), renderSync(), renderGlobal(),
+  ]);
+}
+
+/**
+ * Show the sync switch and how the last sync went.
+ */
+async function renderSync() {
+  qs('syncEnabled').checked = await getSyncEnabled();
+  const status = await getSyncStatus();
+  if (!status || !qs('syncEnabled').checked) {
+    qs('syncStatus').textContent = '';
+  } else if (status.error) {
+    qs('syncStatus').textContent = `Sinhronizacija nije uspela: ${status.error}`;
+  } else {
+    qs('syncStatus').textContent = `Poslednja sinhronizacija: ${new Date(status.time).toLocaleString('sr-Latn')}`;
+  }
+}
+
+/**
+ * Switch sync on or off. Switching on merges with the other devices right
+ * away, so every section is shown again.
+ */
+async function onSyncChange() {
+  await setSyncEnabled(qs('syncEnabled').checked);
+  setHint(qs('syncEnabled').checked ? 'Sinhronizacija je uključena.' : 'Sinhronizacija je isključena.');
+  await renderAll();
+}
+
+/**
+ * Show the global mode and its blocklist.
+ */
+async function renderGlobal() {
+  const {global} = await getSettings();
+  qs('globalEnabled').checked = !!global.enabled;
+  qs('globalDirection').value = global.direction;
+  qs('globalAlphabet').value = global.alphabet || 'sr';
+  qs('globalBlocklist').value = global.blocklist.join('\n');
+}
+
+/**
+ * Save the global mode. Switching it on asks for access to all sites, without
+ * which it cannot run; invalid blocklist lines keep the old list.
+ */
+async function onGlobalChange() {
+  const blocklist = qs('globalBlocklist').value.split('\n')
+    .map((line) => line.trim().toLowerCase().replace(/^[a-z]+:\/\//, ''))
+    .filter(Boolean);
+  const invalid = blocklist.filter((key) => !srbTranslitRules.parsePattern(key));
+  if (invalid.length) {
+    setHint(`Neispravno: ${invalid.join(', ')}`);
+    return;
+  }
+  const enabled = qs('globalEnabled').checked;
+  const settings = await getSettings();
+  if (enabled && !settings.global.enabled) {
+    let granted = false;
+    try {
+      granted = await browser.permissions.request({origins: ['<all_urls>']});
+    } catch (e) {
+      granted = false;
+    }
+    if (!granted) {
+      qs('globalEnabled').checked = false;
+      setHint('Režim „svuda“ traži dozvolu za sve sajtove.');
+      return;
+    }
+  }
+  settings.global = {
+    enabled,
+    direction: qs('globalDirection').value,
+    alphabet: qs('globalAlphabet').value,
+    blocklist,
+  };
+  await setSettings(settings);
+  qs('globalBlocklist').value = blocklist.join('\n');
+  setHint(enabled ? 'Sačuvano. Važi od sledećeg učitavanja stranice.' : 'Režim „svuda“ je isključen.');
+}
+
+/**
+ * Show the protection switches, falling back to the engine defaults.
+ */
+async function renderProtect() {
+  const settings = await getSettings();
+  const protect = srbTranslitEngine.resolveProtect(settings.protect);
+  document.querySelectorAll('[data-protect]').forEach((input) => {
+    input.checked = !!protect[input.dataset.protect];
+  });
+}
+
+/**
+ * Save a single protection switch.
+ *
+ * @param {Event} event The change event of a protection checkbox.
+ */
+async function onProtectChange(event) {
+  const input = event.target;
+  const settings = await getSettings();
+  settings.protect = Object.assign({}, settings.protect, {[input.dataset.protect]: input.checked});
+  await setSettings(settings);
+  setHint('Sačuvano. Važi od sledećeg preslovljavanja.');
+}
+
+/**
+ * Show the attribute pass switch and the list of attributes.
+ */
+async function renderAttributes() {
+  const {attributes} = await getSettings();
+  qs('attributesEnabled').checked = !!attributes.enabled;
+  qs('attributeNames').value = attributes.names.join(', ');
+}
+
+/**
+ * Save the attribute pass switch and list. An empty list restores the defaults.
+ */
+async function onAttributesChange() {
+  const settings = await getSettings();
+  let names = qs('attributeNames').value.split(',').map((name) => name.trim().toLowerCase()).filter(Boolean);
+  if (!names.length) names = srbTranslitStorage.DEFAULT_SETTINGS.attributes.names.slice();
+  settings.attributes = {enabled: qs('attributesEnabled').checked, names};
+  await setSettings(settings);
+  qs('attributeNames').value = names.join(', ');
+  setHint('Sačuvano. Važi od sledećeg preslovljavanja.');
+}
+
+/**
+ * Show the page language switches.
+ */
+async function renderLang() {
+  const {lang} = await getSettings();
+  qs('langRespect').checked = !!lang.respect;
+  qs('langTranslateNo').checked = !!lang.translateNo;
+  qs('langIgnoreRoot').checked = !!lang.ignoreRoot;
+}
+
+/**
+ * Save the page language switches.
+ */
+async function onLangChange() {
+  const settings = await getSettings();
+  settings.lang = {
+    respect: qs('langRespect').checked,
+    translateNo: qs('langTranslateNo').checked,
+    ignoreRoot: qs('langIgnoreRoot').checked,
+  };
+  await setSettings(settings);
+  setHint('Sačuvano. Važi od sledećeg preslovljavanja.');
+}
+
+/**
+ * Show the mixed-script repair switches.
+ */
+async function renderRepair() {
+  const {repair} = await getSettings();
+  qs('repairEnabled').checked = !!repair.enabled;
+  qs('repairHighlight').checked = !!repair.highlight;
+  qs('repairHighlight').disabled = !repair.enabled;
+}
+
+/**
+ * Save the mixed-script repair switches.
+ */
+async function onRepairChange() {
+  const settings = await getSettings();
+  settings.repair = {enabled: qs('repairEnabled').checked, highlight: qs('repairHighlight').checked};
+  await setSettings(settings);
+  qs('repairHighlight').disabled = !settings.repair.enabled;
+  setHint('Sačuvano. Važi od sledećeg preslovljavanja.');
+}
+
+/**
+ * Show the original-text tooltip switch.
+ */
+async function renderTooltip() {
+  const {tooltip} = await getSettings();
+  qs('tooltipEnabled').checked = !!tooltip.enabled;
+}
+
+/**
+ * Save the original-text tooltip switch.
+ */
+async function onTooltipChange() {
+  const settings = await getSettings();
+  settings.tooltip = {enabled: qs('tooltipEnabled').checked};
+  await setSettings(settings);
+  setHint('Sačuvano. Važi od sledećeg preslovljavanja.');
+}
+
+// Digraph guesses for regular Latin and for text written without diacritics
+const HEURISTIC_PRESETS = {
+  heuristicsStandard: {dj: true, dz: true, ch: false, sh: false, zh: false},
+  heuristicsAscii: {dj: true, dz: true, ch: true, sh: true, zh: true},
+};
+
+/**
+ * Show the ASCII output switch, the spelling per letter and the digraph guesses.
+ */
+async function renderLatin() {
+  const {latin} = await getSettings();
+  qs('asciiOutput').checked = !!latin.asciiOutput;
+  const letters = qs('asciiLetters');
+  letters.textContent = '';
+  for (const [letter, choices] of Object.entries(srbTranslitEngine.ASCII_CHOICES)) {
+    const label = document.createElement('label');
+    label.textContent = `${letter} → `;
+    const labels = {};
+    choices.forEach((choice) => { labels[choice] = choice; });
+    const select = labelSelect(labels, latin.ascii[letter] || choices[0]);
+    select.dataset.letter = letter;
+    select.disabled = !latin.asciiOutput;
+    select.addEventListener('change', onLatinChange);
+    label.appendChild(select);
+    letters.appendChild(label);
+  }
+  document.querySelectorAll('[data-heuristic]').forEach((input) => {
+    input.checked = !!latin.heuristics[input.dataset.heuristic];
+  });
+}
+
+/**
+ * Save the ASCII output settings and the digraph guesses.
+ */
+async function onLatinChange() {
+  const settings = await getSettings();
+  const ascii = {};
+  document.querySelectorAll('[data-letter]').forEach((select) => {
+    ascii[select.dataset.letter] = select.value;
+  });
+  const heuristics = {};
+  document.querySelectorAll('[data-heuristic]').forEach((input) => {
+    heuristics[input.dataset.heuristic] = input.checked;
+  });
+  settings.latin = {asciiOutput: qs('asciiOutput').checked, ascii, heuristics};
+  await setSettings(settings);
+  document.querySelectorAll('[data-letter]').forEach((select) => {
+    select.disabled = !settings.latin.asciiOutput;
+  });
+  setHint('Sačuvano. Važi od sledećeg preslovljavanja.');
+}
+
+/**
+ * Tick the digraph guesses of a preset and save them.
+ *
+ * @param {Event} event The click event of a preset button.
+ */
+async function onHeuristicsPreset(event) {
+  const preset = HEURISTIC_PRESETS[event.target.id];
+  document.querySelectorAll('[data-heuristic]').forEach((input) => {
+    input.checked = preset[input.dataset.heuristic];
+  });
+  await onLatinChange();
+}
+
+/**
+ * Show the live-typing direction and the selection option.
+ */
+async function renderTyping() {
+  const {typing, selection} = await getSettings();
+  qs('typingDirection').value = typing.direction;
+  qs('replaceInEditable').checked = !!selection.replaceInEditable;
+}
+
+/**
+ * Save the live-typing direction and the selection option.
+ */
+async function onTypingChange() {
+  const settings = await getSettings();
+  settings.typing = Object.assign({}, settings.typing, {direction: qs('typingDirection').value});
+  settings.selection = Object.assign({}, settings.selection, {replaceInEditable: qs('replaceInEditable').checked});
+  await setSettings(settings);
+  setHint('Sačuvano.');
+}
+
+/**
+ * Creates a text input bound to one field of a dictionary entry.
+ *
+ * @param {Array<object>} list The whole dictionary.
+ * @param {number} index The entry index.
+ * @param {string} field 'latin' or 'cyrillic'.
+ * @return {HTMLTableCellElement} A table cell holding the input.
+ */
+function dictionaryCell(list, index, field) {
+  const td = document.createElement('td');
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.value = list[index][field] || '';
+  input.addEventListener('change', async () => {
+    list[index][field] = input.value.trim();
+    await setUserDictionary(list);
+    setHint('Sačuvano. Važi od sledećeg preslovljavanja.');
+  });
+  td.appendChild(input);
+  return td;
+}
+
+/**
+ * Show the user dictionary as editable rows.
+ */
+async function renderDictionary() {
+  const list = await getUserDictionary();
+  const tbody = qs('dictionaryRows');
+  tbody.textContent = '';
+  list.forEach((entry, index) => {
+    const tr = document.createElement('tr');
+    tr.appendChild(dictionaryCell(list, index, 'latin'));
+    tr.appendChild(dictionaryCell(list, index, 'cyrillic'));
+    const td = document.createElement('td');
+    const remove = document.createElement('button');
+    remove.textContent = 'Obriši';
+    remove.addEventListener('click', async () => {
+      list.splice(index, 1);
+      await setUserDictionary(list);
+      await renderDictionary();
+    });
+    td.appendChild(remove);
+    tr.appendChild(td);
+    tbody.appendChild(tr);
+  });
+}
+
+/**
+ * Add a new pair to the user dictionary. A missing side is filled in with
+ * the regular transliteration so it can be corrected afterwards.
+ */
+async function onAddWord() {
+  let latin = qs('newLatin').value.trim();
+  let cyrillic = qs('newCyrillic').value.trim();
+  if (!latin && !cyrillic) return;
+  if (!cyrillic) cyrillic = srbTranslitEngine.toCyrillic(latin, {protect: false});
+  if (!latin) latin = srbTranslitEngine.toLatin(cyrillic);
+
+  const list = await getUserDictionary();
+  const existing = list.findIndex((e) => e.latin === latin);
+  if (existing !== -1) list[existing] = {latin, cyrillic};
+  else list.push({latin, cyrillic});
+  await setUserDictionary(list);
+  qs('newLatin').value = '';
+  qs('newCyrillic').value = '';
+  setHint(`Dodato: ${latin} ↔ ${cyrillic}`);
+  await renderDictionary();
+}
+
+window.addEventListener('DOMContentLoaded', () => {
+  document.querySelectorAll('[data-protect]').forEach((input) => {
+    input.addEventListener('change', onProtectChange);
+  });
+  qs('addWord').addEventListener('click', onAddWord);
+  qs('attributesEnabled').addEventListener('change', onAttributesChange);
+  qs('attributeNames').addEventListener('change', onAttributesChange);
+  ['globalEnabled', 'globalDirection', 'globalAlphabet', 'globalBlocklist'].forEach((id) => {
+    qs(id).addEventListener('change', onGlobalChange);
+  });
+  qs('langRespect').addEventListener('change', onLangChange);
+  qs('langTranslateNo').addEventListener('change', onLangChange);
+  qs('langIgnoreRoot').addEventListener('change', onLangChange);
+  qs('repairEnabled').addEventListener('change', onRepairChange);
+  qs('repairHighlight').addEventListener('change', onRepairChange);
+  qs('tooltipEnabled').addEventListener('change', onTooltipChange);
+  qs('asciiOutput').addEventListener('change', onLatinChange);
+  document.querySelectorAll('[data-heuristic]').forEach((input) => {
+    input.addEventListener('change', onLatinChange);
+  });
+  qs('heuristicsStandard').addEventListener('click', onHeuristicsPreset);
+  qs('heuristicsAscii').addEventListener('click', onHeuristicsPreset);
+  qs('typingDirection').addEventListener('change', onTypingChange);
+  qs('replaceInEditable').addEventListener('change', onTypingChange);
+  qs('addRule').addEventListener('click', onAddRule);
+  qs('bulkApply').addEventListener('click', onBulkApply);
+  qs('bulkDelete').addEventListener('click', onBulkDelete);
+  qs('selectAll').addEventListener('change', () => {
+    document.querySelectorAll('.rule-pick').forEach((box) => {
+      box.checked = qs('selectAll').checked;
+    });
+  });
+  qs('syncEnabled').addEventListener('change', onSyncChange);
+  qs('export').addEventListener('click', onExport);
+  qs('import').addEventListener('click', () => qs('importFile').click());
+  qs('importFile').addEventListener('change', onImportFile);
+  renderAll();
+});
@@ -1,4 +1,6 @@
-/* global browser */
+/* global browser, srbTranslitEngine, srbTranslitStorage, srbTranslitRules */
+
+const {getHostname, registrableDomain, originPatternsForBase} = srbTranslitRules;
 
 /**
  * Returns an element from the popup with the given ID.
@@ -30,47 +32,33 @@ function setHint(text) {
   qs('hint').textContent = text || '';
 }
 
-/**
- * Extracts the hostname from a given URL.
- *
- * @param {string} url The URL.
- * @return {string} The hostname or an empty string.
- */
-function getHostname(url) {
-  try {
-    return new URL(url).hostname;
-  } catch {
-    return '';
-  }
-}
+// Direction labels, same wording as the direction select
+const DIRECTION_LABELS = {
+  lat_to_cyr: 'Latinica → Ćirilica',
+  cyr_to_lat: 'Ćirilica → Latinica',
+  auto_cyr: 'Uvek ćirilica (prepoznaj pismo)',
+  auto_lat: 'Uvek latinica (prepoznaj pismo)',
+};
 
-/**
- * Extract the registrable domain (e.g., example.com) from a host.
- * Synchronized with background.js.
- *
- * @param {string} host The full host.
- * @return {string} The registrable domain.
- */
-function registrableDomain(host) {
-  if (!host) return '';
-  const parts = host.split('.');
-  if (parts.length <= 2) return host;
-  const tld = parts[parts.length - 1];
-  const sld = parts[parts.length - 2];
-  const known = new Set(['co', 'com', 'net', 'org', 'gov', 'edu', 'ac', 'in', 'rs']);
-  if (tld.length === 2 && known.has(sld)) return parts.slice(-3).join('.');
-  return parts.slice(-2).join('.');
-}
+const SCRIPT_LABELS = {cyrillic: 'ćirilica', latin: 'latinica'};
 
 /**
- * Given a registrable domain, returns origin patterns.
+ * Describe what the content script on the page is doing.
  *
- * @param {string} base The registrable domain.
- * @return {string[]} An array of origin patterns.
+ * @param {{status: string, direction: string|null, effective: string|null, detected: object|null}|null} page
+ *   The state reported by the page.
+ * @return {string} A short description.
  */
-function originPatternsForBase(base) {
-  if (!base) return [];
-  return [`*://${base}/*`, `*://*.${base}/*`];
+function describePage(page) {
+  if (!page || page.status === 'idle') return 'Ne radi';
+  if (page.status === 'stopped') return 'Vraćen original';
+  let text = `${page.status === 'paused' ? 'Pauzirano' : 'Radi'} · ${DIRECTION_LABELS[page.direction] || ''}`;
+  const detected = page.detected;
+  if (detected && SCRIPT_LABELS[detected.script]) {
+    text += ` · prepoznato: ${SCRIPT_LABELS[detected.script]} ${Math.round(detected.confidence * 100)} %`;
+    if (!page.effective) text += ', nije potrebno preslovljavanje';
+  }
+  return text;
 }
 
 /**
@@ -80,11 +68,16 @@ async function refresh() {
   const state = await send('srb:getState');
   if (!state) return;
   
-  const {domain, hasPermission, ruleDirection, hasRule} = state;
-  qs('domain').textContent = domain || 'unknown';
+  const {domain, ruleKey, hasPermission, ruleDirection, ruleAlphabet, hasRule, page, coverage, blockedBy, globalEnabled} =
+    state;
+  qs('domain').textContent = ruleKey || domain || 'unknown';
+  qs('pageState').textContent = describePage(page);
   if (ruleDirection) {
     qs('direction').value = ruleDirection;
   }
+  if (ruleAlphabet) {
+    qs('alphabet').value = ruleAlphabet;
+  }
 
   if (hasRule) {
     if (hasPermission) {
@@ -94,6 +87,12 @@ async function refresh() {
       qs('status').textContent = 'Omogućeno · Nedostaju dozvole';
       setHint('Klikni "Daj dozvolu" da dozvoliš automatsko translitovanje.');
     }
+  } else if (coverage === 'global') {
+    qs('status').textContent = hasPermission ? 'Svuda · Date dozvole' : 'Svuda · Nedostaju dozvole';
+    setHint('Stranica se preslovljava jer je uključen režim „svuda“. Pravilo za domen ima prednost.');
+  } else if (coverage === 'blocked') {
+    qs('status').textContent = `Blokirano (${blockedBy})`;
+    setHint('Režim „svuda“ preskače ovaj sajt. Pokreni jednom ili ga odblokiraj.');
   } else {
     if (hasPermission) {
       qs('status').textContent = 'Data dozvola · Nije omogućeno';
@@ -108,6 +107,13 @@ async function refresh() {
   qs('grant').disabled = !!hasPermission;
   qs('enable').disabled = !!hasRule && !!hasPermission;
   qs('disable').disabled = !hasRule;
+  qs('block').hidden = !globalEnabled || !!hasRule;
+  qs('block').textContent = coverage === 'blocked' ? 'Odblokiraj sajt' : 'Blokiraj sajt';
+  qs('pickExclude').disabled = !hasRule;
+  qs('pickInclude').disabled = !hasRule;
+  const active = !!page && (page.status === 'running' || page.status === 'paused');
+  qs('pause').disabled = !active;
+  qs('pause').textContent = active && page.status === 'paused' ? 'Nastavi' : 'Pauziraj';
 }
 
 /**
@@ -152,7 +158,7 @@ async function onEnable() {
     }
   }
   
-  await send('srb:setRule', {direction, run: true});
+  await send('srb:setRule', {direction, alphabet: qs('alphabet').value, run: true});
   await refresh();
 }
 
@@ -164,19 +170,131 @@ async function onDisable() {
   await refresh();
 }
 
+/**
+ * Add the current site to the global mode's blocklist, or take it off.
+ */
+async function onBlock() {
+  const state = await send('srb:getState');
+  await send('srb:block', {blocked: state.coverage !== 'blocked'});
+  await refresh();
+}
+
 /**
  * Run transliteration once on the current page.
  */
 async function onRunOnce() {
   const direction = qs('direction').value;
-  await send('srb:runOnce', {direction});
+  await send('srb:runOnce', {direction, alphabet: qs('alphabet').value});
+  await refresh();
+}
+
+/**
+ * Pause or resume watching the current page for changes.
+ */
+async function onPause() {
+  const state = await send('srb:getState');
+  const paused = state && state.page && state.page.status === 'paused';
+  await send(paused ? 'srb:resume' : 'srb:pause');
+  await refresh();
+}
+
+/**
+ * Start the element picker on the page for the rule's include or exclude
+ * selectors. The popup closes so the page can be clicked.
+ *
+ * @param {string} mode - 'include' or 'exclude'
+ */
+async function onPick(mode) {
+  const result = await send('srb:pick', {mode});
+  if (result && result.ok) window.close();
+  else setHint('Izbor delova stranice radi samo uz pravilo za ovaj domen.');
+}
+
+/**
+ * Put back the original text of the current page.
+ */
+async function onRestore() {
+  await send('srb:restore');
+  await refresh();
+  setHint('Originalni tekst je vraćen. Automatsko preslovljavanje je pauzirano do ponovnog učitavanja.');
+}
+
+/**
+ * Converts the scratchpad input with the same options the content scripts use
+ * and stores it for the next time the popup opens.
+ */
+async function renderScratchpad() {
+  const text = qs('scratchInput').value;
+  let direction = qs('scratchDirection').value;
+  if (direction === 'auto') {
+    const detected = srbTranslitEngine.detectScript(text);
+    direction = detected.script === 'cyrillic' ? 'cyr_to_lat' : 'lat_to_cyr';
+    qs('scratchInfo').textContent = text.trim()
+      ? `Prepoznato: ${detected.script === 'cyrillic' ? 'ćirilica' : 'latinica'}`
+      : '';
+  } else {
+    qs('scratchInfo').textContent = '';
+  }
+
+  // The alphabet picked above, as for the runs on the page
+  const options = Object.assign(await srbTranslitStorage.getConversionOptions(), {alphabet: qs('alphabet').value});
+  qs('scratchOutput').value = direction === 'cyr_to_lat'
+    ? srbTranslitEngine.toLatin(text, options)
+    : srbTranslitEngine.toCyrillic(text, options);
+
+  await browser.storage.local.set({scratchpad: {text, direction: qs('scratchDirection').value}});
+}
+
+/**
+ * Restore the scratchpad from the last time the popup was open.
+ */
+async function loadScratchpad() {
+  const {scratchpad} = await browser.storage.local.get('scratchpad');
+  if (scratchpad) {
+    qs('scratchInput').value = scratchpad.text || '';
+    qs('scratchDirection').value = scratchpad.direction || 'auto';
+  }
+  await renderScratchpad();
+}
+
+/**
+ * Move the result into the input and flip a fixed direction.
+ */
+async function onScratchSwap() {
+  qs('scratchInput').value = qs('scratchOutput').value;
+  const flipped = {lat_to_cyr: 'cyr_to_lat', cyr_to_lat: 'lat_to_cyr'};
+  const direction = qs('scratchDirection').value;
+  if (flipped[direction]) qs('scratchDirection').value = flipped[direction];
+  await renderScratchpad();
+}
+
+/**
+ * Copy the scratchpad result to the clipboard.
+ */
+async function onScratchCopy() {
+  try {
+    await navigator.clipboard.writeText(qs('scratchOutput').value);
+    qs('scratchInfo').textContent = 'Kopirano.';
+  } catch (e) {
+    qs('scratchOutput').select();
+    document.execCommand('copy');
+  }
 }
 
 window.addEventListener('DOMContentLoaded', () => {
   qs('grant').addEventListener('click', onGrant);
   qs('enable').addEventListener('click', onEnable);
   qs('disable').addEventListener('click', onDisable);
+  qs('block').addEventListener('click', onBlock);
   qs('runOnce').addEventListener('click', onRunOnce);
+  qs('pause').addEventListener('click', onPause);
+  qs('restore').addEventListener('click', onRestore);
+  qs('pickExclude').addEventListener('click', () => onPick('exclude'));
+  qs('pickInclude').addEventListener('click', () => onPick('include'));
+  qs('openOptions').addEventListener('click', async () => {
+    await browser.runtime.openOptionsPage();
+    window.close();
+  });
   qs('openAddons').addEventListener('click', async () => {
     try {
       await browser.tabs.create({url: 'about:addons'});
@@ -184,5 +302,11 @@ window.addEventListener('DOMContentLoaded', () => {
       await browser.runtime.openOptionsPage().catch(() => {});
     }
   });
-  refresh();
+  qs('scratchInput').addEventListener('input', renderScratchpad);
+  qs('scratchDirection').addEventListener('change', renderScratchpad);
+  qs('alphabet').addEventListener('change', renderScratchpad);
+  qs('scratchSwap').addEventListener('click', onScratchSwap);
+  qs('scratchCopy').addEventListener('click', onScratchCopy);
+  // The scratchpad converts with the rule's alphabet, known once the state is in
+  refresh().finally(loadScratchpad);
 });
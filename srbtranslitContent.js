@@ -0,0 +1,464 @@
+/*eslint-env es6*/
+/*global window, document, browser, NodeFilter*/
+(function () {
+  'use strict';
+
+  // Injected on every navigation event and explicit run; only the first
+  // injection in a frame sets up the controller, later ones just reach it
+  // with messages from background.js.
+  if (window.srbTranslitContent) return;
+
+  const engine = window.srbTranslitEngine;
+  const storage = window.srbTranslitStorage;
+  const dom = window.srbTranslitDom;
+
+  // Target script of the auto_* rule directions, and the conversion towards it
+  const AUTO_TARGETS = {
+    auto_cyr: {script: 'cyrillic', direction: 'lat_to_cyr'},
+    auto_lat: {script: 'latin', direction: 'cyr_to_lat'},
+  };
+  // Primary lang subtags converted with each alphabet profile; other
+  // languages on the page are left alone
+  const LANGUAGES = {
+    sr: ['sr', 'sh'],
+    me: ['cnr', 'sr', 'sh'],
+    mk: ['mk'],
+  };
+  // Script subtag for the lang attribute after each conversion
+  const LANG_SCRIPTS = {lat_to_cyr: 'Cyrl', cyr_to_lat: 'Latn'};
+  // Characters of page text looked at to detect its script
+  const SAMPLE_LENGTH = 20000;
+  // Share of letters outside the alphabet profile above which the global
+  // mode takes a page for another language (see engine.foreignLetterShare)
+  const FOREIGN_SHARE = 0.02;
+  // Name of the CSS highlight that marks repaired mixed-script words
+  const REPAIR_HIGHLIGHT = 'srbtranslit-repair';
+  // Milliseconds the pointer rests on a passage, or a finger presses it,
+  // before its original text is shown
+  const HOVER_DELAY = 400;
+  const LONG_PRESS = 500;
+
+  // status: 'idle' before the first run, then 'running', 'paused' or 'stopped'.
+  // direction is what was asked for, effective what actually runs: an
+  // auto_* direction resolves to a conversion, or to null when the page is
+  // already in the target script. scope holds the site rule's include and
+  // exclude selectors. auto is set while the run is a site rule's rather
+  // than the user's.
+  const state = {
+    status: 'idle',
+    direction: null,
+    alphabet: null,
+    effective: null,
+    detected: null,
+    scope: null,
+    auto: false,
+  };
+  // Messages are handled one at a time, so a start that is still loading
+  // settings cannot overtake a later stop
+  let chain = Promise.resolve();
+  // The repair highlight and its stylesheet, created on first use
+  let repairHighlight = null;
+  let repairStyle = null;
+  // The original-text tooltip: its host element, the box inside its shadow
+  // root, the pending hover or press timer, and whether it is switched on
+  let tooltipHost = null;
+  let tooltipBox = null;
+  let tooltipTimer = null;
+  let tooltipOn = false;
+
+  /**
+   * Marks ranges of a text node in the repair highlight, once our write to
+   * the node is done. Browsers without the CSS Highlight API get no marks.
+   * @param {Text} node - The text node being converted.
+   * @param {Array<Array<number>>} ranges - [start, end) offsets in its new text.
+   */
+  function markRepairs(node, ranges) {
+    if (!window.Highlight || !window.CSS || !window.CSS.highlights) return;
+    if (!repairHighlight) {
+      repairHighlight = new window.Highlight();
+      window.CSS.highlights.set(REPAIR_HIGHLIGHT, repairHighlight);
+    }
+    if (!repairStyle || !repairStyle.isConnected) {
+      repairStyle = document.createElement('style');
+      repairStyle.textContent = `::highlight(${REPAIR_HIGHLIGHT}) {` +
+        ' background-color: rgba(255, 191, 0, 0.4); text-decoration: underline wavy #d70022; }';
+      (document.head || document.documentElement).appendChild(repairStyle);
+    }
+    window.queueMicrotask(() => {
+      ranges.forEach(([start, end]) => {
+        if (end > node.length) return;
+        const range = document.createRange();
+        range.setStart(node, start);
+        range.setEnd(node, end);
+        repairHighlight.add(range);
+      });
+    });
+  }
+
+  /**
+   * Removes the repair marks and their stylesheet.
+   */
+  function clearRepairs() {
+    if (repairHighlight) repairHighlight.clear();
+    if (repairStyle) repairStyle.remove();
+    repairStyle = null;
+  }
+
+  /**
+   * Puts the mixed-script repair in front of a conversion. With marks on,
+   * repaired words are converted on their own so they can be found in the
+   * result; they are whole words, so no digraph or token is cut in two.
+   * @param {function(string): string} convert - The conversion.
+   * @param {boolean} highlight - Whether to mark the repaired words.
+   * @returns {function(string, Text=): string} The combined conversion.
+   */
+  function withRepair(convert, highlight) {
+    return (text, node) => {
+      const repairs = [];
+      const repaired = engine.repairMixedScript(text, repairs);
+      if (!repairs.length || !highlight || !node) return convert(repaired);
+      let out = '';
+      let last = 0;
+      const ranges = [];
+      repairs.forEach(([start, end]) => {
+        out += convert(repaired.slice(last, start));
+        const word = convert(repaired.slice(start, end));
+        ranges.push([out.length, out.length + word.length]);
+        out += word;
+        last = end;
+      });
+      out += convert(repaired.slice(last));
+      markRepairs(node, ranges);
+      return out;
+    };
+  }
+
+  /**
+   * Finds the converted text node under a point, if the point is on its text.
+   * @param {number} x - Client X coordinate.
+   * @param {number} y - Client Y coordinate.
+   * @returns {Text|null} The node, or null.
+   */
+  function convertedNodeAt(x, y) {
+    let node = null;
+    if (document.caretPositionFromPoint) {
+      const position = document.caretPositionFromPoint(x, y);
+      node = position && position.offsetNode;
+    } else if (document.caretRangeFromPoint) {
+      const range = document.caretRangeFromPoint(x, y);
+      node = range && range.startContainer;
+    }
+    if (!node || node.nodeType !== 3 || dom.originalText(node) === null) return null;
+    // The caret position is the nearest text, even beside it
+    const range = document.createRange();
+    range.selectNodeContents(node);
+    const hit = Array.from(range.getClientRects()).some(rect =>
+      x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom);
+    return hit ? node : null;
+  }
+
+  /**
+   * Shows the original text of a node next to it. The tooltip lives in a
+   * closed shadow root on a fixed, click-through host, so it neither moves
+   * the page nor takes part in selection.
+   * @param {Text} node - A converted text node.
+   */
+  function showOriginal(node) {
+    if (!tooltipHost || !tooltipHost.isConnected) {
+      tooltipHost = document.createElement('srbtranslit-tooltip');
+      tooltipHost.style.cssText = 'all: initial; position: fixed; top: 0; left: 0; z-index: 2147483647;' +
+        ' pointer-events: none; user-select: none;';
+      const shadow = tooltipHost.attachShadow({mode: 'closed'});
+      const style = document.createElement('style');
+      style.textContent = 'div { position: fixed; max-width: 360px; max-height: 8em; overflow: hidden;' +
+        ' padding: 4px 8px; border-radius: 4px; background: #222; color: #fff; opacity: 0.92;' +
+        ' font: 13px/1.4 system-ui, sans-serif; white-space: pre-wrap; box-shadow: 0 1px 4px rgba(0, 0, 0, 0.3); }';
+      tooltipBox = document.createElement('div');
+      shadow.append(style, tooltipBox);
+      document.documentElement.appendChild(tooltipHost);
+    }
+    tooltipBox.textContent = dom.originalText(node).trim();
+    tooltipBox.hidden = false;
+    const range = document.createRange();
+    range.selectNodeContents(node);
+    const rect = range.getBoundingClientRect();
+    const box = tooltipBox.getBoundingClientRect();
+    const below = rect.bottom + 4 + box.height <= window.innerHeight;
+    const left = Math.max(4, Math.min(rect.left, window.innerWidth - box.width - 4));
+    tooltipBox.style.left = left + 'px';
+    tooltipBox.style.top = (below ? rect.bottom + 4 : Math.max(4, rect.top - box.height - 4)) + 'px';
+  }
+
+  /**
+   * Hides the tooltip and drops a pending hover or press.
+   */
+  function hideOriginal() {
+    window.clearTimeout(tooltipTimer);
+    tooltipTimer = null;
+    if (tooltipBox) tooltipBox.hidden = true;
+  }
+
+  /**
+   * Waits for the pointer or finger to stay on a passage, then shows its original.
+   * @param {number} x - Client X coordinate.
+   * @param {number} y - Client Y coordinate.
+   * @param {number} delay - Milliseconds to wait.
+   */
+  function scheduleOriginal(x, y, delay) {
+    hideOriginal();
+    tooltipTimer = window.setTimeout(() => {
+      tooltipTimer = null;
+      const node = convertedNodeAt(x, y);
+      if (node) showOriginal(node);
+    }, delay);
+  }
+
+  function onPointerMove(event) {
+    if (event.pointerType === 'mouse') scheduleOriginal(event.clientX, event.clientY, HOVER_DELAY);
+  }
+
+  function onPointerDown(event) {
+    if (event.pointerType === 'mouse') hideOriginal();
+    else scheduleOriginal(event.clientX, event.clientY, LONG_PRESS);
+  }
+
+  function onPointerCancel(event) {
+    // A finger lifted before the long press only cancels it; a shown tooltip
+    // stays until the next touch
+    if (event.pointerType !== 'mouse' && tooltipTimer) hideOriginal();
+  }
+
+  /**
+   * Switches the original-text tooltip on or off.
+   * @param {boolean} on - Whether to listen for hovers and long presses.
+   */
+  function setTooltip(on) {
+    if (on === tooltipOn) return;
+    tooltipOn = on;
+    const method = on ? 'addEventListener' : 'removeEventListener';
+    document[method]('pointermove', onPointerMove, {passive: true, capture: true});
+    document[method]('pointerdown', onPointerDown, {passive: true, capture: true});
+    document[method]('pointerup', onPointerCancel, {passive: true, capture: true});
+    document[method]('pointercancel', onPointerCancel, {passive: true, capture: true});
+    window[method]('scroll', hideOriginal, {passive: true, capture: true});
+    if (!on) {
+      hideOriginal();
+      if (tooltipHost) tooltipHost.remove();
+      tooltipHost = null;
+    }
+  }
+
+  /**
+   * Builds the conversion for a direction from the stored settings.
+   * @param {string|null} direction - 'cyr_to_lat', 'lat_to_cyr', or null to only
+   *   repair mixed-script words.
+   * @param {string} alphabet - Alphabet profile of the engine.
+   * @returns {Promise<{convert: function(string, Text=): string, settings: Object}>} The conversion
+   *   and the settings it used.
+   */
+  async function converterFor(direction, alphabet) {
+    const settings = await storage.getSettings();
+    const options = Object.assign(await storage.getConversionOptions(), {alphabet});
+    let convert = text => text;
+    if (direction === 'cyr_to_lat') {
+      convert = text => engine.toLatin(text, options);
+    } else if (direction === 'lat_to_cyr') {
+      convert = text => engine.toCyrillic(text, options);
+    }
+    if (settings.repair.enabled) convert = withRepair(convert, settings.repair.highlight);
+    return {convert, settings};
+  }
+
+  /**
+   * Collects visible page text, up to SAMPLE_LENGTH characters, including the title.
+   * @returns {string} The sample.
+   */
+  function sampleText() {
+    let sample = document.title || '';
+    const root = document.body || document.documentElement;
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, null, false);
+    let node;
+    while (sample.length < SAMPLE_LENGTH && (node = walker.nextNode())) {
+      if (!dom.shouldSkipNode(node)) sample += ' ' + node.nodeValue;
+    }
+    return sample.slice(0, SAMPLE_LENGTH);
+  }
+
+  /**
+   * Resolves a requested direction to the conversion to run. Auto directions
+   * sample the page and convert only when its dominant script differs from
+   * the target; the text is sampled as originally written.
+   * @param {string} direction - A rule direction.
+   * @returns {{effective: string|null, detected: Object|null}} The conversion, or null for none,
+   *   and the detection result for auto directions.
+   */
+  function resolveDirection(direction) {
+    const target = AUTO_TARGETS[direction];
+    if (!target) return {effective: direction, detected: null};
+    const detected = engine.detectScript(sampleText());
+    const needed = detected.script !== 'unknown' && detected.script !== target.script;
+    return {effective: needed ? target.direction : null, detected};
+  }
+
+  /**
+   * Whether the page is in a language of the alphabet profile, for the global
+   * mode, which reaches every site: its <html lang> decides when set and not
+   * ignored, otherwise letters of other alphabets in the text (Russian ы,
+   * Ukrainian і, English w) give it away.
+   * @param {string} alphabet - Alphabet profile.
+   * @param {Object} settings - The stored settings.
+   * @returns {boolean} False for pages in other languages.
+   */
+  function pageInLanguage(alphabet, settings) {
+    const lang = document.documentElement.getAttribute('lang');
+    if (lang && !settings.lang.ignoreRoot) {
+      return (LANGUAGES[alphabet] || LANGUAGES.sr).indexOf(lang.split('-')[0].toLowerCase()) !== -1;
+    }
+    const text = sampleText();
+    const {script} = engine.detectScript(text);
+    return script === 'unknown' || engine.foreignLetterShare(text, script, alphabet) <= FOREIGN_SHARE;
+  }
+
+  /**
+   * Converts the page and keeps it converted. A page converted before gets
+   * its original text back first, so it is never converted twice and auto
+   * directions sample what the page really says.
+   * @param {string} direction - 'cyr_to_lat', 'lat_to_cyr', or 'auto_cyr'/'auto_lat'
+   *   for a target script.
+   * @param {string} [alphabet='sr'] - Alphabet profile: 'sr', 'me' or 'mk'.
+   * @param {boolean} [auto=false] - Started by a site rule rather than by the user.
+   *   Such starts only apply to a frame that has not run yet, or that runs another
+   *   rule's conversion after an SPA route change; repeated navigation events
+   *   neither restart the page nor undo a pause, a stop or a run the user started.
+   * @param {{include: string|null, exclude: string|null}} [scope] - CSS selectors of
+   *   the site rule: convert only inside `include`, never inside `exclude`.
+   * @param {boolean} [guard=false] - Started by the global mode: pages in other
+   *   languages are left alone.
+   */
+  async function start(direction, alphabet = 'sr', auto = false, scope = null, guard = false) {
+    if (auto && state.status !== 'idle' && !(isRuleRun() && !isSameRun(direction, alphabet, scope))) return;
+    if (guard && !pageInLanguage(alphabet, await storage.getSettings())) {
+      if (isRuleRun()) stopRuleRun();
+      return;
+    }
+    if (state.direction) {
+      dom.restore();
+      clearRepairs();
+    }
+    const {effective, detected} = resolveDirection(direction);
+    const {convert, settings} = await converterFor(effective, alphabet);
+    // A page already in the target script may still need its mixed words repaired
+    if (effective || settings.repair.enabled) {
+      const lang = settings.lang.respect ? {
+        languages: LANGUAGES[alphabet] || LANGUAGES.sr,
+        script: LANG_SCRIPTS[effective] || null,
+        translateNo: !!settings.lang.translateNo,
+        ignoreRoot: !!settings.lang.ignoreRoot,
+      } : null;
+      dom.start(convert, {attributes: settings.attributes, lang, scope});
+    } else {
+      dom.stop();
+    }
+    setTooltip(!!settings.tooltip.enabled);
+    Object.assign(state, {status: 'running', direction, alphabet, effective, detected, scope, auto});
+  }
+
+  /**
+   * Whether a site rule's conversion is running in this frame.
+   * @returns {boolean} False when idle, paused, stopped or started by the user.
+   */
+  function isRuleRun() {
+    return state.auto && state.status === 'running';
+  }
+
+  /**
+   * Whether the running conversion is the one asked for.
+   * @param {string} direction - A rule direction.
+   * @param {string} alphabet - Alphabet profile.
+   * @param {{include: string|null, exclude: string|null}|null} scope - CSS selectors.
+   * @returns {boolean} True if direction, alphabet and selectors all match.
+   */
+  function isSameRun(direction, alphabet, scope) {
+    const before = state.scope || {};
+    const after = scope || {};
+    return state.direction === direction && state.alphabet === alphabet &&
+      (before.include || null) === (after.include || null) && (before.exclude || null) === (after.exclude || null);
+  }
+
+  /**
+   * Puts back the original text of a site rule's run after the page moved to
+   * a route no rule covers. The frame counts as not run yet, so a rule
+   * applies again on the next covered route; the user's runs, pauses and
+   * stops are left alone.
+   */
+  function stopRuleRun() {
+    if (!isRuleRun()) return;
+    stop();
+    state.status = 'idle';
+  }
+
+  /**
+   * Stops watching the page but leaves the converted text in place.
+   */
+  function pause() {
+    if (state.status !== 'running') return;
+    dom.stop();
+    state.status = 'paused';
+  }
+
+  /**
+   * Picks up a paused page again in the direction it had.
+   */
+  async function resume() {
+    if (state.status !== 'paused') return;
+    const auto = state.auto;
+    await start(state.direction, state.alphabet, false, state.scope);
+    state.auto = auto;
+  }
+
+  /**
+   * Puts back the original text and stops watching the page.
+   */
+  function stop() {
+    dom.restore();
+    clearRepairs();
+    setTooltip(false);
+    Object.assign(state, {
+      status: 'stopped', direction: null, alphabet: null, effective: null, detected: null, scope: null, auto: false,
+    });
+  }
+
+  /**
+   * Current state of this frame, reported to the popup.
+   * @returns {{status: string, direction: string|null, alphabet: string|null, effective: string|null,
+   *   detected: Object|null, scope: Object|null, auto: boolean}}
+   *   A copy of the state.
+   */
+  function getState() {
+    return Object.assign({}, state);
+  }
+
+  // Control messages from background.js; srb:pageState only reports
+  const actions = {
+    'srb:pageStart': message => start(message.direction, message.alphabet, !!message.auto, {
+      include: message.include || null,
+      exclude: message.exclude || null,
+    }, !!message.guard),
+    'srb:pagePause': pause,
+    'srb:pageResume': resume,
+    'srb:pageStop': message => (message.auto ? stopRuleRun() : stop()),
+    'srb:pageState': null,
+  };
+
+  browser.runtime.onMessage.addListener(message => {
+    const type = message && message.type;
+    if (!Object.prototype.hasOwnProperty.call(actions, type)) return undefined;
+    if (actions[type]) chain = chain.then(() => actions[type](message)).catch(() => {});
+    return chain.then(getState);
+  });
+
+  window.srbTranslitContent = {
+    getState,
+  };
+
+})();
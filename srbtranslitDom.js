@@ -0,0 +1,615 @@
+/*eslint-env es6*/
+/*global window, document, NodeFilter, MutationObserver, CSS*/
+(function () {
+  'use strict';
+
+  // Every run injects this file again; keep a single instance per frame so
+  // all runs (in either direction) share the recorded original text.
+  if (window.srbTranslitDom) return;
+
+  // Text node -> {original, converted}
+  const originals = new Map();
+  // Element -> {attribute name -> {original, converted}}
+  const attributeOriginals = new Map();
+  // Element -> its lang attribute before we retagged it (null if it had none)
+  const langOriginals = new Map();
+  const skipTags = ['script', 'style', 'noscript', 'textarea', 'code', 'pre', 'kbd', 'math'];
+  // "value" is visible text only on buttons; elsewhere it is user or form data
+  const buttonTypes = ['submit', 'button', 'reset'];
+
+  let observer = null;
+  let observedOptions = null;
+  let timeout = null;
+  // Added or edited nodes waiting for the debounced pass
+  const pending = new Set();
+  // Set when the observer saw nodes removed; the next pass forgets them
+  let removals = false;
+  let transliterate = null;
+  let attributeNames = [];
+  // {languages, script, translateNo} while running with the lang options, else null
+  let langOptions = null;
+  // {include, exclude} CSS selectors of the site rule while running, else null
+  let scope = null;
+  // Iframes we already listen to for (re)loads
+  const watchedFrames = new WeakSet();
+  // Off-screen text nodes converted later, in idle time
+  let queue = [];
+  let queueHead = 0;
+  let queueHandle = null;
+  // Subtrees up to this many text nodes are converted right away
+  const SYNC_LIMIT = 200;
+  // Nodes converted per idle slice at least, even when the browser is busy
+  const CHUNK_SIZE = 50;
+  // Quiet time before changes are converted, and the longest they wait on
+  // pages that never stop changing (clocks, tickers, live feeds)
+  const DEBOUNCE = 150;
+  const MAX_WAIT = 750;
+  // When the oldest change still waiting was seen
+  let pendingSince = 0;
+
+  /**
+   * Whether a lang attribute value names one of the languages we convert.
+   * An empty value means "unknown" and is accepted.
+   * @param {string} value - The lang attribute.
+   * @returns {boolean} True if the primary language subtag is in the list.
+   */
+  function isOwnLanguage(value) {
+    if (!value) return true;
+    return langOptions.languages.indexOf(value.split('-')[0].toLowerCase()) !== -1;
+  }
+
+  /**
+   * Whether the lang of <html> is left out, for sites that keep their CMS
+   * default there ("en") over Serbian text.
+   * @param {Element} el - An element with a lang attribute.
+   * @returns {boolean} True if `ignoreRoot` is set and el is <html>.
+   */
+  function isIgnoredRoot(el) {
+    return !!langOptions.ignoreRoot && el === el.ownerDocument.documentElement;
+  }
+
+  /**
+   * Whether the lang and translate attributes around an element allow converting it.
+   * @param {Element} el - The element holding the text or attribute.
+   * @returns {boolean} False inside another language or, if enabled, translate="no".
+   */
+  function languageAllows(el) {
+    if (!langOptions || !el || !el.closest) return true;
+    const holder = el.closest('[lang]');
+    if (holder && !isIgnoredRoot(holder) && !isOwnLanguage(holder.getAttribute('lang'))) return false;
+    return !(langOptions.translateNo && el.closest('[translate="no"]'));
+  }
+
+  /**
+   * Whether the site rule's selectors allow converting inside an element.
+   * @param {Element} el - The element holding the text or attribute.
+   * @returns {boolean} False inside an "exclude" match, or outside every
+   *   "include" match when one is set.
+   */
+  function scopeAllows(el) {
+    if (!scope || !el || !el.closest) return true;
+    if (scope.exclude && el.closest(scope.exclude)) return false;
+    return !scope.include || !!el.closest(scope.include);
+  }
+
+  /**
+   * Keeps a selector list only if the browser can parse it, so one bad rule
+   * cannot stop the whole page.
+   * @param {string} [selector] - A CSS selector list.
+   * @returns {string|null} The selector, or null if empty or invalid.
+   */
+  function validSelector(selector) {
+    if (typeof selector !== 'string' || !selector.trim()) return null;
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return selector;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /**
+   * Determines whether a node should be skipped during transliteration.
+   * Skip logic is crucial to prevent breaking code blocks, scripts, or editable areas.
+   * @param {Node} node - The node to evaluate.
+   * @returns {boolean} True if the node should be skipped; false otherwise.
+   */
+  function shouldSkipNode(node) {
+    const p = node.parentNode;
+    if (!p) return false;
+    const tag = (p.nodeName || '').toLowerCase();
+    // Skip scripts, styles, code blocks, and user-editable areas
+    if (skipTags.indexOf(tag) !== -1) return true;
+    if (p.isContentEditable) return true;
+    // Also check for common class names that indicate code or non-translatable content
+    if (p.classList && (p.classList.contains('syntaxhighlighter') || p.classList.contains('notranslate'))) return true;
+    // Passages in other languages (Russian, English quotes) keep their text
+    if (!languageAllows(p)) return true;
+    return !scopeAllows(p);
+  }
+
+  /**
+   * Rewrites the script subtag of a lang value: "sr-Latn-RS" → "sr-Cyrl-RS", "sr" → "sr-Cyrl".
+   * @param {string} value - The lang attribute.
+   * @param {string} script - 'Cyrl' or 'Latn'.
+   * @returns {string} The new value.
+   */
+  function withScript(value, script) {
+    const parts = value.split('-');
+    if (parts.length > 1 && /^[a-z]{4}$/i.test(parts[1])) parts[1] = script;
+    else parts.splice(1, 0, script);
+    return parts.join('-');
+  }
+
+  /**
+   * Points the lang attribute of an element at the script we convert to, so
+   * fonts, hyphenation and screen readers follow. Elements in other languages
+   * are left alone, except an ignored <html> lang, which is replaced.
+   * @param {Element} el - The element.
+   */
+  function retagLanguage(el) {
+    if (!langOptions || !langOptions.script) return;
+    const value = el.getAttribute('lang');
+    if (value === null && el !== el.ownerDocument.documentElement) return;
+    const own = isOwnLanguage(value);
+    if (!own && !isIgnoredRoot(el)) return;
+    const tagged = withScript(own && value || langOptions.languages[0], langOptions.script);
+    if (tagged === value) return;
+    if (!langOriginals.has(el)) langOriginals.set(el, value);
+    el.setAttribute('lang', tagged);
+  }
+
+  /**
+   * Transliterates a single text node and remembers its original value.
+   * @param {Text} node - The text node.
+   */
+  function convertTextNode(node) {
+    const value = node.nodeValue;
+    if (shouldSkipNode(node) || !value || value.trim() === '') return;
+    const newVal = transliterate(value, node);
+    if (newVal === value) return;
+    // Keep the first original unless the page replaced the text since our last write
+    const entry = originals.get(node);
+    const original = entry && entry.converted === value ? entry.original : value;
+    originals.set(node, {original, converted: newVal});
+    node.nodeValue = newVal;
+  }
+
+  /**
+   * Transliterates one attribute of an element and remembers its original value.
+   * @param {Element} el - The element.
+   * @param {string} name - The attribute name.
+   */
+  function convertAttribute(el, name) {
+    const value = el.getAttribute(name);
+    if (!value || value.trim() === '' || !languageAllows(el) || !scopeAllows(el)) return;
+    const tag = el.nodeName.toLowerCase();
+    if (skipTags.indexOf(tag) !== -1 && tag !== 'textarea') return;
+    if (name === 'value' && !(tag === 'input' && buttonTypes.indexOf((el.type || '').toLowerCase()) !== -1)) return;
+    const newVal = transliterate(value);
+    if (newVal === value) return;
+    let entries = attributeOriginals.get(el);
+    if (!entries) {
+      entries = {};
+      attributeOriginals.set(el, entries);
+    }
+    const entry = entries[name];
+    const original = entry && entry.converted === value ? entry.original : value;
+    entries[name] = {original, converted: newVal};
+    el.setAttribute(name, newVal);
+  }
+
+  /**
+   * Transliterates the configured attributes of an element and its descendants.
+   * @param {Node} root - The subtree root.
+   */
+  function convertAttributes(root) {
+    if (!attributeNames.length || !root.querySelectorAll) return;
+    const selector = attributeNames.map(name => `[${CSS.escape(name)}]`).join(',');
+    const elements = Array.from(root.querySelectorAll(selector));
+    if (root.nodeType === 1 && root.matches(selector)) elements.unshift(root);
+    elements.forEach(el => {
+      attributeNames.forEach(name => {
+        if (el.hasAttribute(name)) convertAttribute(el, name);
+      });
+    });
+  }
+
+  /**
+   * Transliterates the document title, which lives outside document.body.
+   */
+  function convertTitle() {
+    const title = document.querySelector('title');
+    // A rule limited to part of the page leaves the tab title alone
+    if (!title || (scope && scope.include)) return;
+    title.childNodes.forEach(node => {
+      if (node.nodeType === 3) convertTextNode(node);
+    });
+  }
+
+  /**
+   * Starts observing another root (a shadow root or a frame document) with
+   * the page observer, if one is running.
+   * @param {Node} root - The root to observe.
+   */
+  function watch(root) {
+    if (observer && observedOptions) observer.observe(root, observedOptions);
+  }
+
+  /**
+   * Whether a frame's document is created by its parent rather than loaded,
+   * i.e. about:blank or srcdoc. Such frames never get the content script injected.
+   * @param {HTMLIFrameElement} frame - The frame element.
+   * @returns {Document|null} The frame document when it is one of those, else null.
+   */
+  function inlineFrameDocument(frame) {
+    let doc = null;
+    try {
+      doc = frame.contentDocument;
+    } catch (e) {
+      return null;
+    }
+    if (!doc || !doc.documentElement) return null;
+    return doc.URL === 'about:blank' || doc.URL === 'about:srcdoc' ? doc : null;
+  }
+
+  /**
+   * Converts and watches an about:blank/srcdoc iframe, now and whenever it reloads.
+   * @param {HTMLIFrameElement} frame - The frame element.
+   */
+  function visitFrame(frame) {
+    if (!watchedFrames.has(frame)) {
+      watchedFrames.add(frame);
+      frame.addEventListener('load', function () {
+        if (transliterate && observer) visitFrame(frame);
+      });
+    }
+    const doc = inlineFrameDocument(frame);
+    if (!doc) return;
+    const root = doc.body || doc.documentElement;
+    srbTranslit(root);
+    watch(root);
+  }
+
+  /**
+   * Runs a callback when the browser is idle, with a timer fallback where
+   * requestIdleCallback is unavailable.
+   * @param {function({timeRemaining: function(): number})} callback - The work.
+   * @returns {number} A handle for cancelIdle().
+   */
+  function requestIdle(callback) {
+    if (window.requestIdleCallback) return window.requestIdleCallback(callback, {timeout: 500});
+    return window.setTimeout(function () {
+      const end = Date.now() + 10;
+      callback({timeRemaining: () => Math.max(0, end - Date.now())});
+    }, 16);
+  }
+
+  /**
+   * Cancels a callback scheduled with requestIdle().
+   * @param {number} handle - The handle.
+   */
+  function cancelIdle(handle) {
+    if (window.cancelIdleCallback) window.cancelIdleCallback(handle);
+    else window.clearTimeout(handle);
+  }
+
+  /**
+   * Converts queued nodes until the idle period runs out, then schedules the rest.
+   * @param {{timeRemaining: function(): number}} deadline - The idle deadline.
+   */
+  function processQueue(deadline) {
+    queueHandle = null;
+    let done = 0;
+    while (queueHead < queue.length && (done < CHUNK_SIZE || deadline.timeRemaining() > 1)) {
+      const node = queue[queueHead++];
+      done++;
+      if (node.isConnected) convertTextNode(node);
+    }
+    if (queueHead < queue.length) {
+      queueHandle = requestIdle(processQueue);
+    } else {
+      queue = [];
+      queueHead = 0;
+    }
+  }
+
+  /**
+   * Splits text nodes into those inside the viewport and the rest.
+   * @param {Array<Text>} nodes - Text nodes in document order.
+   * @returns {{visible: Array<Text>, hidden: Array<Text>}} The two groups, order kept.
+   */
+  function byVisibility(nodes) {
+    const visible = [];
+    const hidden = [];
+    // Sibling text nodes share a parent; measure each element once
+    const seen = new Map();
+    nodes.forEach(function (node) {
+      const parent = node.parentElement;
+      let inView = seen.get(parent);
+      if (inView === undefined) {
+        const view = node.ownerDocument.defaultView;
+        const rect = parent ? parent.getBoundingClientRect() : null;
+        inView = !!rect && !!view && (rect.width > 0 || rect.height > 0) &&
+          rect.bottom >= 0 && rect.top <= view.innerHeight &&
+          rect.right >= 0 && rect.left <= view.innerWidth;
+        seen.set(parent, inView);
+      }
+      (inView ? visible : hidden).push(node);
+    });
+    return {visible, hidden};
+  }
+
+  /**
+   * Converts text nodes: small batches at once, large ones viewport first
+   * and the rest in idle-time chunks so the page stays responsive.
+   * @param {Array<Text>} nodes - Text nodes in document order.
+   */
+  function convertTextNodes(nodes) {
+    if (nodes.length <= SYNC_LIMIT) {
+      nodes.forEach(convertTextNode);
+      return;
+    }
+    const {visible, hidden} = byVisibility(nodes);
+    visible.forEach(convertTextNode);
+    hidden.forEach(node => queue.push(node));
+    if (!queueHandle && queueHead < queue.length) queueHandle = requestIdle(processQueue);
+  }
+
+  /**
+   * Scans the document (or a specific subtree) and transliterates all suitable text nodes.
+   * Open shadow roots and inline frames inside the subtree are scanned as well.
+   * On large subtrees, text outside the viewport is converted later in idle time.
+   * @param {Node} root - The root node to start scanning from.
+   */
+  function srbTranslit(root) {
+    const doc = root.ownerDocument || root;
+    const walker = doc.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, null, false);
+    const nodes = [];
+    const shadowRoots = [];
+    const frames = [];
+    let node;
+    while ((node = walker.nextNode())) {
+      if (node.nodeType === 1) {
+        if (langOptions && node.hasAttribute('lang')) retagLanguage(node);
+        if (node.shadowRoot) shadowRoots.push(node.shadowRoot);
+        if (node.nodeName === 'IFRAME') frames.push(node);
+      } else if (!shouldSkipNode(node) && node.nodeValue && node.nodeValue.trim() !== '') {
+        nodes.push(node);
+      }
+    }
+    if (root.nodeType === 1 && root.shadowRoot) shadowRoots.push(root.shadowRoot);
+    if (langOptions && root.nodeType === 1 && root.hasAttribute('lang')) retagLanguage(root);
+    convertTextNodes(nodes);
+    convertAttributes(root);
+    shadowRoots.forEach(function (shadowRoot) {
+      srbTranslit(shadowRoot);
+      watch(shadowRoot);
+    });
+    frames.forEach(visitFrame);
+  }
+
+  /**
+   * Handles a shadow root attached after load, reported by srbtranslitShadow.js
+   * from the page's own context.
+   * @param {Event} event - The srbtranslit:shadowroot event.
+   */
+  function onShadowRoot(event) {
+    const host = event.composedPath()[0];
+    if (!host || !host.shadowRoot || !host.isConnected) return;
+    srbTranslit(host.shadowRoot);
+    watch(host.shadowRoot);
+  }
+
+  /**
+   * Forgets nodes the page has removed, so pages that keep replacing their
+   * content (SPAs, endless feeds) do not stay in memory through our maps.
+   */
+  function pruneDetached() {
+    removals = false;
+    [originals, attributeOriginals, langOriginals].forEach(function (map) {
+      map.forEach(function (value, node) {
+        if (!node.isConnected) map.delete(node);
+      });
+    });
+  }
+
+  /**
+   * Converts the nodes collected by the observer since the last pass.
+   */
+  function flushPending() {
+    timeout = null;
+    if (removals) pruneDetached();
+    const nodes = Array.from(pending);
+    pending.clear();
+    nodes.forEach(function (node) {
+      // Frameworks often add and remove nodes before the timer fires
+      if (!node.isConnected) return;
+      if (node.nodeType === 3) {
+        // If it's a text node, check parent and transliterate
+        convertTextNode(node);
+      } else {
+        // If it's an element, scan its subtree
+        srbTranslit(node);
+      }
+    });
+  }
+
+  /**
+   * Stops watching the page for new content.
+   */
+  function stop() {
+    if (observer) observer.disconnect();
+    if (timeout) clearTimeout(timeout);
+    if (queueHandle) cancelIdle(queueHandle);
+    pending.clear();
+    removals = false;
+    queue = [];
+    queueHead = 0;
+    queueHandle = null;
+    document.removeEventListener('srbtranslit:shadowroot', onShadowRoot, true);
+    observer = null;
+    observedOptions = null;
+    timeout = null;
+  }
+
+  /**
+   * Converts the page and keeps converting content added later.
+   * A previous run in this frame is stopped first.
+   * @param {function(string, Text=): string} convert - The conversion to apply; text
+   *   nodes are passed along with their text, attribute values are not.
+   * @param {Object} [options] - Page options.
+   * @param {{enabled: boolean, names: Array<string>}} [options.attributes] - Attribute pass,
+   *   which also keeps the document title converted.
+   * @param {Object} [options.lang] - Honor lang attributes: text inside elements whose
+   *   language is not in `languages` (primary subtags) is skipped, so is text under
+   *   translate="no" when `translateNo` is set, and when `script` ('Cyrl' or 'Latn')
+   *   is given the lang of <html> and of Serbian elements is set to it. With `ignoreRoot`
+   *   the lang of <html> neither skips text nor is kept, only lang inside the page counts.
+   * @param {{include: string, exclude: string}} [options.scope] - CSS selectors of the
+   *   site rule: convert only inside `include` and never inside `exclude`.
+   */
+  function start(convert, options = {}) {
+    stop();
+    transliterate = convert;
+    langOptions = options.lang && Array.isArray(options.lang.languages) ? options.lang : null;
+    const include = validSelector(options.scope && options.scope.include);
+    const exclude = validSelector(options.scope && options.scope.exclude);
+    scope = include || exclude ? {include, exclude} : null;
+    const attributes = options.attributes;
+    attributeNames = attributes && attributes.enabled && Array.isArray(attributes.names)
+      ? attributes.names.map(name => String(name).trim().toLowerCase()).filter(Boolean)
+      : [];
+
+    // Handle dynamic content via MutationObserver
+    observer = new MutationObserver(function (mutations) {
+      // Collect changed attributes from mutations; added and edited nodes wait
+      // in `pending` for the debounced pass
+      const changedAttributes = [];
+      let titleChanged = false;
+      mutations.forEach(function (mutation) {
+        const target = mutation.target;
+        if (target.nodeName === 'TITLE' || (target.parentNode && target.parentNode.nodeName === 'TITLE')) {
+          titleChanged = true;
+          return;
+        }
+        if (mutation.type === 'attributes') {
+          changedAttributes.push([target, mutation.attributeName]);
+          return;
+        }
+        if (mutation.type === 'characterData') {
+          // Our own writes come back as characterData mutations too
+          const entry = originals.get(target);
+          if (!entry || entry.converted !== target.nodeValue) pending.add(target);
+          return;
+        }
+        if (mutation.removedNodes.length) removals = true;
+        mutation.addedNodes.forEach(function (node) {
+          if (node.nodeName === 'TITLE') {
+            titleChanged = true;
+          } else if (node.nodeType === 1 || node.nodeType === 3) {
+            pending.add(node);
+          }
+        });
+      });
+
+      // Our own title writes come back here; converting again is a no-op
+      if (titleChanged) convertTitle();
+      changedAttributes.forEach(([el, name]) => convertAttribute(el, name));
+
+      if (pending.size > 0 || removals) {
+        // Debounce the transliteration to prevent performance lag on massive DOM updates.
+        // Nodes from earlier batches stay in `pending` until the timer fires, at most
+        // MAX_WAIT after the first of them.
+        const now = Date.now();
+        if (timeout) clearTimeout(timeout);
+        else pendingSince = now;
+        timeout = setTimeout(flushPending, Math.max(0, Math.min(DEBOUNCE, pendingSince + MAX_WAIT - now)));
+      }
+    });
+
+    observedOptions = {
+      childList: true,
+      characterData: true,
+      subtree: true
+    };
+    if (attributeNames.length) {
+      observedOptions.attributes = true;
+      observedOptions.attributeFilter = attributeNames;
+    }
+    watch(document.body || document.documentElement);
+    document.addEventListener('srbtranslit:shadowroot', onShadowRoot, true);
+
+    if (langOptions) retagLanguage(document.documentElement);
+
+    // Initial run, once the observer exists so shadow roots and frames found
+    // on the way are watched too
+    srbTranslit(document.body || document);
+    if (attributeNames.length) convertTitle();
+
+    // SPAs update document.title, which replaces the text inside <head><title>
+    if (attributeNames.length && document.head) {
+      observer.observe(document.head, {
+        childList: true,
+        subtree: true,
+        characterData: true
+      });
+    }
+  }
+
+  /**
+   * Stops the observer and puts back the original text of every node and
+   * attribute we changed. Values the page has modified since our last write
+   * are left alone.
+   * @returns {number} The number of restored nodes and attributes.
+   */
+  function restore() {
+    stop();
+    let count = 0;
+    originals.forEach(function (entry, node) {
+      if (node.nodeValue === entry.converted) {
+        node.nodeValue = entry.original;
+        count++;
+      }
+    });
+    attributeOriginals.forEach(function (entries, el) {
+      Object.keys(entries).forEach(function (name) {
+        if (el.getAttribute(name) === entries[name].converted) {
+          el.setAttribute(name, entries[name].original);
+          count++;
+        }
+      });
+    });
+    langOriginals.forEach(function (value, el) {
+      if (value === null) el.removeAttribute('lang');
+      else el.setAttribute('lang', value);
+    });
+    originals.clear();
+    attributeOriginals.clear();
+    langOriginals.clear();
+    langOptions = null;
+    scope = null;
+    return count;
+  }
+
+  /**
+   * The text a node had before we converted it.
+   * @param {Node} node - A text node.
+   * @returns {string|null} The original text, or null if the node does not
+   *   show our conversion (never converted, or rewritten by the page since).
+   */
+  function originalText(node) {
+    const entry = originals.get(node);
+    return entry && node.nodeValue === entry.converted ? entry.original : null;
+  }
+
+  window.srbTranslitDom = {
+    originalText,
+    shouldSkipNode,
+    srbTranslit,
+    start,
+    stop,
+    restore,
+  };
+
+})();
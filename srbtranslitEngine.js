@@ -0,0 +1,780 @@
+/*eslint-env es6*/
+/*global module, require*/
+(function (root, factory) {
+  'use strict';
+
+  // Plain script in the extension (content scripts, popup, background),
+  // CommonJS module under Node. Load srbtranslitLexicon.js first.
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./srbtranslitLexicon.js'));
+  } else {
+    root.srbTranslitEngine = factory(root.srbTranslitLexicon);
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (lexicon) {
+  'use strict';
+
+  // Cyrillic → Latin map. "LJ", "NJ" and "DŽ" become "Lj", "Nj" and "Dž"
+  // outside all-caps words, see mapWithTable()
+  const replaceMap = {
+    "А": "A", "Б": "B", "В": "V", "Г": "G", "Д": "D", "Ђ": "Đ", "Е": "E", "Ж": "Ž", "З": "Z",
+    "И": "I", "Ј": "J", "К": "K", "Л": "L", "Љ": "LJ", "М": "M", "Н": "N", "Њ": "NJ", "О": "O",
+    "П": "P", "Р": "R", "С": "S", "Ш": "Š", "Т": "T", "Ћ": "Ć", "У": "U", "Ф": "F", "Х": "H",
+    "Ц": "C", "Ч": "Č", "Џ": "DŽ", "а": "a", "б": "b", "в": "v", "г": "g", "д": "d", "ђ": "đ",
+    "е": "e", "ж": "ž", "з": "z", "и": "i", "ј": "j", "к": "k", "л": "l", "љ": "lj", "м": "m",
+    "н": "n", "њ": "nj", "о": "o", "п": "p", "р": "r", "с": "s", "ш": "š", "т": "t", "ћ": "ć",
+    "у": "u", "ф": "f", "х": "h", "ц": "c", "ч": "č", "џ": "dž"
+  };
+
+  // 1) Multi-letter sequences (Case-aware; "nJ" takes the case of its word,
+  // see mapWithTable())
+  const SEQ_MAP_LAT2CYR = {
+    'dž': 'џ', 'Dž': 'Џ', 'DŽ': 'Џ', 'dŽ': 'џ',
+    'dz': 'џ', 'Dz': 'Џ', 'DZ': 'Џ', 'dZ': 'џ',
+    'nj': 'њ', 'Nj': 'Њ', 'NJ': 'Њ', 'nJ': 'њ',
+    'lj': 'љ', 'Lj': 'Љ', 'LJ': 'Љ', 'lJ': 'љ',
+    'dj': 'ђ', 'Dj': 'Ђ', 'DJ': 'Ђ', 'dJ': 'ђ'
+  };
+
+  // 2) Single-letter Latin → Cyrillic map
+  const SINGLE_MAP_LAT2CYR = {
+    'A': 'А', 'B': 'Б', 'V': 'В', 'G': 'Г', 'D': 'Д', 'Đ': 'Ђ', 'E': 'Е', 'Ž': 'Ж', 'Z': 'З',
+    'I': 'И', 'J': 'Ј', 'K': 'К', 'L': 'Л', 'M': 'М', 'N': 'Н', 'O': 'О', 'P': 'П', 'R': 'Р',
+    'S': 'С', 'Š': 'Ш', 'T': 'Т', 'Ć': 'Ћ', 'U': 'У', 'F': 'Ф', 'H': 'Х', 'C': 'Ц', 'Č': 'Ч',
+    'a': 'а', 'b': 'б', 'v': 'в', 'g': 'г', 'd': 'д', 'đ': 'ђ', 'e': 'е', 'ž': 'ж', 'z': 'з',
+    'i': 'и', 'j': 'ј', 'k': 'к', 'l': 'л', 'm': 'м', 'n': 'н', 'o': 'о', 'p': 'п', 'r': 'р',
+    's': 'с', 'š': 'ш', 't': 'т', 'ć': 'ћ', 'u': 'у', 'f': 'ф', 'h': 'х', 'c': 'ц', 'č': 'ч'
+  };
+
+  /**
+   * Copies a map, dropping some keys and adding others.
+   * @param {Object} map - The base map.
+   * @param {Array<string>} remove - Keys to drop.
+   * @param {Object} add - Entries to add or override.
+   * @returns {Object} The new map.
+   */
+  function derive(map, remove, add) {
+    const out = Object.assign({}, map);
+    remove.forEach(key => delete out[key]);
+    return Object.assign(out, add);
+  }
+
+  // Alphabet profiles. Each has its own Cyrillic → Latin map, Latin digraphs
+  // and single letters; keys may be two characters (a letter and a combining
+  // accent), values may be longer than the key.
+  const ALPHABETS = {
+    // Serbian: the 30-letter alphabet above
+    sr: {
+      cyr2lat: replaceMap,
+      seqLat2cyr: SEQ_MAP_LAT2CYR,
+      singleLat2cyr: SINGLE_MAP_LAT2CYR,
+    },
+    // Montenegrin: Serbian plus С́/Ś and З́/Ź
+    me: {
+      cyr2lat: derive(replaceMap, [], {
+        'С\u0301': 'Ś', 'с\u0301': 'ś', 'З\u0301': 'Ź', 'з\u0301': 'ź'
+      }),
+      seqLat2cyr: SEQ_MAP_LAT2CYR,
+      singleLat2cyr: derive(SINGLE_MAP_LAT2CYR, [], {
+        'Ś': 'С\u0301', 'ś': 'с\u0301', 'Ź': 'З\u0301', 'ź': 'з\u0301'
+      }),
+    },
+    // Macedonian: Ѓ, Ќ, Ѕ, Ѐ, Ѝ instead of Ђ and Ћ; "dz" is Ѕ and "dj" is not a digraph
+    mk: {
+      cyr2lat: derive(replaceMap, ['Ђ', 'ђ', 'Ћ', 'ћ'], {
+        'Ѓ': 'Ǵ', 'ѓ': 'ǵ', 'Ќ': 'Ḱ', 'ќ': 'ḱ', 'Ѕ': 'DZ', 'ѕ': 'dz', 'Ѐ': 'È', 'ѐ': 'è',
+        'Ѝ': 'Ì', 'ѝ': 'ì'
+      }),
+      seqLat2cyr: {
+        'dž': 'џ', 'Dž': 'Џ', 'DŽ': 'Џ', 'dŽ': 'џ',
+        'dz': 'ѕ', 'Dz': 'Ѕ', 'DZ': 'Ѕ', 'dZ': 'ѕ',
+        'nj': 'њ', 'Nj': 'Њ', 'NJ': 'Њ', 'nJ': 'њ',
+        'lj': 'љ', 'Lj': 'Љ', 'LJ': 'Љ', 'lJ': 'љ',
+        // Ǵ and Ḱ typed as a letter and a combining acute
+        'G\u0301': 'Ѓ', 'g\u0301': 'ѓ', 'K\u0301': 'Ќ', 'k\u0301': 'ќ'
+      },
+      singleLat2cyr: derive(SINGLE_MAP_LAT2CYR, ['Đ', 'đ', 'Ć', 'ć'], {
+        'Ǵ': 'Ѓ', 'ǵ': 'ѓ', 'Ḱ': 'Ќ', 'ḱ': 'ќ', 'È': 'Ѐ', 'è': 'ѐ', 'Ì': 'Ѝ', 'ì': 'ѝ'
+      }),
+    },
+  };
+
+  /**
+   * Indexes a map by UTF-16 code, so conversion is one array lookup per
+   * character instead of a regex alternation over all keys.
+   * @param {Object} map - Keys of one or two characters.
+   * @returns {{single: Array<string>, seq: Array<Object>}} single: code → value;
+   *   seq: code of the first character → {second character → value}.
+   */
+  function compileTable(map) {
+    const table = {single: [], seq: []};
+    Object.keys(map).forEach(key => {
+      const code = key.charCodeAt(0);
+      if (key.length === 1) {
+        table.single[code] = map[key];
+      } else {
+        table.seq[code] = table.seq[code] || {};
+        table.seq[code][key.charAt(1)] = map[key];
+      }
+    });
+    return table;
+  }
+
+  Object.keys(ALPHABETS).forEach(name => {
+    ALPHABETS[name].cyr2latTable = compileTable(ALPHABETS[name].cyr2lat);
+  });
+
+  // Latin → Cyrillic guesses that can be switched off. "dj" and "dz" are read
+  // as ђ and џ unless told otherwise; "ch", "sh" and "zh" stand for ч, ш and ж
+  // only in text written without diacritics ("ošišana latinica"), since in
+  // regular Latin they are two letters ("shvatiti").
+  const DEFAULT_HEURISTICS = {dj: true, dz: true, ch: false, sh: false, zh: false};
+  const ASCII_DIGRAPHS = {ch: 'ч', sh: 'ш', zh: 'ж'};
+  // Alphabet name + heuristic switches → compiled Latin → Cyrillic table
+  const lat2cyrTables = new Map();
+
+  /**
+   * Returns the Latin → Cyrillic table of an alphabet with the given heuristics.
+   * @param {string} [alphabet='sr'] - The alphabet profile.
+   * @param {Object} [heuristics] - Switches, see DEFAULT_HEURISTICS.
+   * @returns {{single: Array<string>, seq: Array<Object>}} The compiled table.
+   */
+  function lat2cyrTable(alphabet, heuristics) {
+    const on = Object.assign({}, DEFAULT_HEURISTICS, heuristics || {});
+    const name = ALPHABETS[alphabet] ? alphabet : 'sr';
+    const key = name + ':' + Object.keys(DEFAULT_HEURISTICS).map(h => on[h] ? 1 : 0).join('');
+    if (lat2cyrTables.has(key)) return lat2cyrTables.get(key);
+
+    const profile = ALPHABETS[name];
+    const map = Object.assign({}, profile.singleLat2cyr);
+    Object.keys(profile.seqLat2cyr).forEach(seq => {
+      const base = seq.toLowerCase();
+      if ((base === 'dj' && !on.dj) || (base === 'dz' && !on.dz)) return;
+      map[seq] = profile.seqLat2cyr[seq];
+    });
+    Object.keys(ASCII_DIGRAPHS).forEach(digraph => {
+      if (!on[digraph]) return;
+      const lower = ASCII_DIGRAPHS[digraph];
+      const upper = lower.toUpperCase();
+      const first = digraph.charAt(0);
+      // Same casing rules as the other digraphs: "Ch" and "CH" are capital, "cH" follows its word
+      map[digraph] = lower;
+      map[first.toUpperCase() + 'h'] = upper;
+      map[digraph.toUpperCase()] = upper;
+      map[first + 'H'] = lower;
+    });
+    const table = compileTable(map);
+    lat2cyrTables.set(key, table);
+    return table;
+  }
+
+  /**
+   * Looks up an alphabet profile.
+   * @param {string} [name='sr'] - 'sr', 'me' or 'mk'.
+   * @returns {Object} The profile; Serbian for unknown names.
+   */
+  function alphabetProfile(name) {
+    return ALPHABETS[name] || ALPHABETS.sr;
+  }
+
+  /**
+   * Whether text[start, end) sits among capitals: the next letter decides, or
+   * the previous one at the end of a word.
+   * @param {string} text - The text.
+   * @param {number} start - Start of the span.
+   * @param {number} end - End of the span.
+   * @returns {boolean} True inside an all-caps word or acronym.
+   */
+  function capsAround(text, start, end) {
+    const next = text.charAt(end);
+    if (/\p{L}/u.test(next)) return /\p{Lu}/u.test(next);
+    return /\p{Lu}/u.test(text.charAt(start - 1));
+  }
+
+  /**
+   * Replaces characters with one pass over the string. Two-character keys are
+   * tried before single characters at every position. Where a letter and a
+   * digraph stand for each other, the case comes from the context: Љ is "Lj"
+   * in "Љубав" and "LJ" in "ЉУБАВ", and a mixed-case "nJ" is њ in "nJega"
+   * but Њ in "KOnJI".
+   * @param {string} text - The text.
+   * @param {{single: Array<string>, seq: Array<Object>}} table - From compileTable().
+   * @returns {string} The converted text.
+   */
+  function mapWithTable(text, table) {
+    let out = '';
+    for (let i = 0; i < text.length; i++) {
+      const code = text.charCodeAt(i);
+      const seq = table.seq[code];
+      if (seq && i + 1 < text.length && seq[text[i + 1]] !== undefined) {
+        const value = seq[text[i + 1]];
+        const mixed = text[i] !== text[i].toUpperCase() && text[i + 1] !== text[i + 1].toLowerCase();
+        out += mixed && capsAround(text, i, i + 2) ? value.toUpperCase() : value;
+        i++;
+        continue;
+      }
+      const value = table.single[code];
+      if (value === undefined) {
+        out += text[i];
+      } else if (value.length > 1 && value !== value.toLowerCase() && !capsAround(text, i, i + 1)) {
+        out += value.charAt(0) + value.slice(1).toLowerCase();
+      } else {
+        out += value;
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Transliterates Cyrillic letters to Latin with one pass over the string.
+   * @param {string} text - The text.
+   * @param {string} [alphabet='sr'] - The alphabet profile.
+   * @returns {string} The text with every Cyrillic letter of the profile replaced.
+   */
+  function mapCyrillicToLatin(text, alphabet) {
+    return mapWithTable(text, alphabetProfile(alphabet).cyr2latTable);
+  }
+
+  /**
+   * Transliterates Latin letters to Cyrillic with one pass over the string.
+   * Digraphs are tried before single letters at every position.
+   * @param {string} text - The text.
+   * @param {string} [alphabet='sr'] - The alphabet profile.
+   * @param {Object} [heuristics] - Digraph switches, see DEFAULT_HEURISTICS.
+   * @returns {string} The text with every letter and digraph of the profile replaced.
+   */
+  function mapLatinToCyrillic(text, alphabet, heuristics) {
+    return mapWithTable(text, lat2cyrTable(alphabet, heuristics));
+  }
+
+  // Spellings of Latin letters with diacritics in ASCII. The first choice is
+  // the default; the rest are the conventions the user can pick instead.
+  const ASCII_CHOICES = {
+    'č': ['c', 'ch'],
+    'ć': ['c', 'ch'],
+    'š': ['s', 'sh'],
+    'ž': ['z', 'zh'],
+    'đ': ['dj', 'd'],
+  };
+  // Letters of the Montenegrin and Macedonian profiles, folded one way only
+  const ASCII_FIXED = {'ś': 's', 'ź': 'z', 'ǵ': 'gj', 'ḱ': 'kj', 'è': 'e', 'ì': 'i'};
+  const ASCII_LETTERS = new RegExp('[' + Object.keys(ASCII_CHOICES).concat(Object.keys(ASCII_FIXED)).join('') + ']', 'giu');
+
+  /**
+   * Writes Latin letters with diacritics in plain ASCII ("ošišana latinica").
+   * A capital becomes "Ch" in a capitalized word and "CH" in an all-caps one.
+   * @param {string} text - Latin text.
+   * @param {Object|boolean} [letters] - Chosen spelling per letter (see
+   *   ASCII_CHOICES); true or missing letters use the first choice.
+   * @returns {string} The text without those diacritics.
+   */
+  function foldToAscii(text, letters) {
+    const chosen = letters && typeof letters === 'object' ? letters : {};
+    return text.replace(ASCII_LETTERS, (c, offset) => {
+      const lower = c.toLowerCase();
+      const choices = ASCII_CHOICES[lower];
+      let out = ASCII_FIXED[lower];
+      if (choices) out = choices.indexOf(chosen[lower]) !== -1 ? chosen[lower] : choices[0];
+      if (c === lower) return out;
+      return capsAround(text, offset, offset + 1) ? out.toUpperCase() : out.charAt(0).toUpperCase() + out.slice(1);
+    });
+  }
+
+  // 3) Tokens left in Latin by toCyrillic(), one switch per category
+  const DEFAULT_PROTECT = {
+    urls: true,
+    emails: true,
+    handles: true,
+    camelCase: true,
+    acronyms: true,
+    romanNumerals: true,
+    foreignLetters: true,
+  };
+
+  const W = '[\\p{L}\\p{M}\\p{N}_]';
+  const WORD_START = '(?<!' + W + ')';
+  const WORD_END = '(?!' + W + ')';
+  const URL_TAIL = '[^\\s<>"\'«»]*[^\\s<>"\'«».,;:!?)]';
+  // Any top-level domain, in one case throughout, so a missing space after a
+  // full stop ("dan.Kako") is not taken for a host name
+  const TLD = '(?:[a-z]{2,}|[A-Z]{2,})';
+
+  const PROTECT_PATTERNS = {
+    urls: new RegExp(
+      '(?:\\b[a-zA-Z][a-zA-Z0-9+.-]*:\\/\\/|\\b[wW]{3}\\.)' + URL_TAIL +
+      '|' + WORD_START + '(?:[a-zA-Z0-9-]+\\.)+' + TLD + WORD_END + '(?:\\/' + URL_TAIL + ')?', 'gu'),
+    emails: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/gu,
+    handles: new RegExp('(?<![\\p{L}\\p{M}\\p{N}_#@])[#@]' + W + '+', 'gu'),
+    // A case break inside "lj", "nj", "dj", "dž" or "dz" is a digraph typed in
+    // mixed case ("nJegoš", "KOnJI", "dJak"), not camelCase; mapWithTable()
+    // handles those
+    camelCase: new RegExp(WORD_START + '\\p{L}*(?![ln]J|d[JZŽ])\\p{Ll}\\p{Lu}\\p{L}*' + WORD_END, 'gu'),
+    // Only capitals that cannot be read as a Serbian word: no vowel and no
+    // syllabic r ("HTML", "PDF"), while "MI", "NATO" and "PAŽNJA" convert
+    acronyms: new RegExp(WORD_START + '[BCDFGHJKLMNPQSTVWXZ]{2,}' + WORD_END, 'gu'),
+    // "MI" is the pronoun far more often than 1001
+    romanNumerals: new RegExp(WORD_START +
+      '(?=[MDCLXVI]{2,}|[VX]' + WORD_END + ')(?!MI' + WORD_END + ')' +
+      'M{0,3}(?:CM|CD|D?C{0,3})(?:XC|XL|L?X{0,3})(?:IX|IV|V?I{0,3})' + WORD_END, 'gu'),
+    // Hyphenated compounds stay whole: "Wi-Fi", "e-Xpress"
+    foreignLetters: new RegExp(WORD_START + '(?:' + W + '+-)*' + W + '*[qwxyQWXY]' + W + '*(?:-' + W + '+)*' + WORD_END, 'gu'),
+  };
+
+  // Headlines written in all caps would otherwise be protected word by word
+  // ("MIX", "DIV" and "VI" read as Roman numerals)
+  const CASE_SENSITIVE_CATEGORIES = ['romanNumerals'];
+
+  // Addresses are protected even from the user dictionary; single words are
+  // checked only after it, so a dictionary entry can override e.g. camelCase
+  const ADDRESS_CATEGORIES = ['urls', 'emails', 'handles'];
+  const WORD_CATEGORIES = ['camelCase', 'acronyms', 'romanNumerals', 'foreignLetters'];
+
+  // Digraphs of each profile that the lexicon can split; Macedonian has no "dj"
+  const LEXICON_DIGRAPHS = {
+    sr: ['nj', 'lj', 'dj', 'dž', 'dz'],
+    me: ['nj', 'lj', 'dj', 'dž', 'dz'],
+    mk: ['nj', 'lj', 'dž', 'dz'],
+  };
+  // Digraphs the lexicon splits → compiled lexicon
+  const lexiconCache = new Map();
+
+  /**
+   * Compiles the exception lexicon (srbtranslitLexicon.js) for an alphabet
+   * into one regex: the prefix chain, then one alternative per entry whose
+   * capture is the part before the split. The lexicon's FORMS get a second
+   * regex matching those whole words. The entries for "ch", "sh" and "zh"
+   * are only needed while those guesses are on ("ishrana" is is + hrana).
+   * @param {string} alphabet - The alphabet profile.
+   * @param {Object} [heuristics] - Switches, see DEFAULT_HEURISTICS.
+   * @returns {{regex: RegExp, entries: Array<Object>, forms: RegExp|null}} entries[n]
+   *   belongs to capture n + 2.
+   */
+  function compileLexicon(alphabet, heuristics) {
+    const on = Object.assign({}, DEFAULT_HEURISTICS, heuristics || {});
+    const digraphs = (LEXICON_DIGRAPHS[alphabet] || LEXICON_DIGRAPHS.sr)
+      .concat(Object.keys(ASCII_DIGRAPHS).filter(digraph => on[digraph]));
+    const key = digraphs.join();
+    if (lexiconCache.has(key)) return lexiconCache.get(key);
+
+    const entries = [];
+    digraphs.forEach(digraph => {
+      (lexicon.STEMS[digraph] || []).forEach(stem => {
+        const [before, after] = stem.split('|');
+        entries.push({digraph, rule: stem, before, after});
+      });
+      (lexicon.BOUNDARIES[digraph] || []).forEach(prefix => {
+        entries.push({digraph, rule: prefix + '|' + digraph.slice(1), before: prefix, after: digraph.slice(1)});
+      });
+    });
+    const alternatives = entries.map(e => '(' + escapeRegExp(e.before) + ')(?=' + escapeRegExp(e.after) + ')');
+    const prefixes = '(?:' + lexicon.PREFIXES.map(escapeRegExp).join('|') + ')*';
+    // As few prefixes as possible, so "raspodjela" is ras + pod|j rather than raspo + d|jel
+    const regex = new RegExp('(?<![\\p{L}\\p{M}])(' + prefixes + '?)(?:' + alternatives.join('|') + ')', 'giu');
+
+    const stems = [];
+    digraphs.forEach(digraph => {
+      (lexicon.FORMS[digraph] || []).forEach(stem => stems.push(escapeRegExp(stem)));
+    });
+    const forms = stems.length
+      ? new RegExp('(?<![\\p{L}\\p{M}])' + prefixes + '(?:' + stems.join('|') + ')' +
+        '(?:' + lexicon.FORM_ENDINGS.map(escapeRegExp).join('|') + ')(?![\\p{L}\\p{M}])', 'giu')
+      : null;
+    const compiled = {regex, entries, forms};
+    lexiconCache.set(key, compiled);
+    return compiled;
+  }
+
+  /**
+   * Finds the words in which the exception lexicon keeps a digraph as two letters.
+   * @param {string} text - Latin text.
+   * @param {string} [alphabet='sr'] - The alphabet profile.
+   * @param {Object} [heuristics] - Digraph guesses in use, see DEFAULT_HEURISTICS.
+   * @returns {Array<{index: number, digraph: string, rule: string, prefix: string}>} For every
+   *   match: the offset of the digraph, which digraph it is, the lexicon entry that fired
+   *   ("in|jekc", "pod|j") and the prefixes in front of it ("ras").
+   */
+  function findExceptions(text, alphabet = 'sr', heuristics) {
+    const {regex, entries, forms} = compileLexicon(alphabet, heuristics);
+    // Words where the digraph is one letter after all ("nadji")
+    const kept = [];
+    if (forms) {
+      forms.lastIndex = 0;
+      let form;
+      while ((form = forms.exec(text))) kept.push([form.index, form.index + form[0].length]);
+    }
+    const found = [];
+    regex.lastIndex = 0;
+    let match;
+    while ((match = regex.exec(text))) {
+      const n = match.findIndex((group, i) => i > 1 && group !== undefined);
+      const entry = entries[n - 2];
+      const index = match.index + match[1].length + match[n].length - 1;
+      if (kept.some(([start, end]) => index >= start && index < end)) continue;
+      found.push({index, digraph: entry.digraph, rule: entry.rule, prefix: match[1]});
+    }
+    return found;
+  }
+
+  /**
+   * Linguistic exceptions where digraphs should NOT be merged.
+   * We handle these by pre-transliterating the two letters into separate
+   * Cyrillic letters, e.g. "injekcija" → "iнјekcija".
+   * @param {string} text - Latin text.
+   * @param {string} [alphabet='sr'] - The alphabet profile.
+   * @param {Object} [heuristics] - Digraph guesses in use, see DEFAULT_HEURISTICS.
+   * @returns {string} The text with exception words partially converted.
+   */
+  function applyExceptions(text, alphabet = 'sr', heuristics) {
+    const found = findExceptions(text, alphabet, heuristics);
+    if (!found.length) return text;
+    const single = alphabetProfile(alphabet).singleLat2cyr;
+    let out = '';
+    let last = 0;
+    found.forEach(({index}) => {
+      const pair = text.slice(index, index + 2);
+      out += text.slice(last, index) + pair.split('').map(c => single[c] || c).join('');
+      last = index + 2;
+    });
+    return out + text.slice(last);
+  }
+
+
+  /**
+   * Merges the caller's protection switches with the defaults.
+   * @param {Object|boolean} [protect] - Category switches, or false to protect nothing.
+   * @returns {Object} A switch for every category in DEFAULT_PROTECT.
+   */
+  function resolveProtect(protect) {
+    if (protect === false) {
+      const none = {};
+      Object.keys(DEFAULT_PROTECT).forEach(key => { none[key] = false; });
+      return none;
+    }
+    return Object.assign({}, DEFAULT_PROTECT, protect || {});
+  }
+
+  /**
+   * Splits text into runs that must stay in Latin and runs that may be converted.
+   * @param {string} text - Latin text.
+   * @param {Object} protect - Resolved category switches (see resolveProtect).
+   * @param {Array<string>} [categories] - Limit the scan to these categories.
+   * @returns {Array<{text: string, keep: boolean}>} The runs, in order.
+   */
+  function splitProtected(text, protect, categories = Object.keys(PROTECT_PATTERNS)) {
+    const hasLower = /\p{Ll}/u.test(text);
+    const ranges = [];
+    categories.forEach(category => {
+      if (!protect[category]) return;
+      if (!hasLower && CASE_SENSITIVE_CATEGORIES.indexOf(category) !== -1) return;
+      const re = PROTECT_PATTERNS[category];
+      re.lastIndex = 0;
+      let m;
+      while ((m = re.exec(text))) {
+        if (m[0].length === 0) {
+          re.lastIndex++;
+          continue;
+        }
+        ranges.push([m.index, m.index + m[0].length]);
+      }
+    });
+    return rangesToRuns(text, ranges);
+  }
+
+  // Compiled dictionaries, so a page full of text nodes builds each regex once
+  const dictionaryCache = new WeakMap();
+
+  /**
+   * Escapes a string for use inside a regular expression.
+   * @param {string} str - The literal string.
+   * @returns {string} The escaped string.
+   */
+  function escapeRegExp(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Builds the lookup for one direction of a user dictionary.
+   * @param {Array<{latin: string, cyrillic: string}>} dictionary - Word pairs.
+   * @param {string} from - Key of the source form: 'latin' or 'cyrillic'.
+   * @param {string} to - Key of the forced output: 'cyrillic' or 'latin'.
+   * @returns {{regex: RegExp, exact: Map, folded: Map}|null} The lookup, or null if empty.
+   */
+  function compileDictionary(dictionary, from, to) {
+    const exact = new Map();
+    const folded = new Map();
+    dictionary.forEach(entry => {
+      const source = entry && typeof entry[from] === 'string' ? entry[from].trim() : '';
+      const target = entry && typeof entry[to] === 'string' ? entry[to].trim() : '';
+      if (!source || !target) return;
+      exact.set(source, target);
+      if (!folded.has(source.toLowerCase())) folded.set(source.toLowerCase(), target);
+    });
+    if (exact.size === 0) return null;
+    // Longest first, so phrases win over the words they contain
+    const alternatives = Array.from(exact.keys())
+      .sort((a, b) => b.length - a.length)
+      .map(escapeRegExp);
+    const regex = new RegExp(WORD_START + '(?:' + alternatives.join('|') + ')' + WORD_END, 'giu');
+    return {regex, exact, folded};
+  }
+
+  /**
+   * Applies the casing of the matched text to a dictionary output. An output
+   * stored with capitals of its own ("iPhone") keeps them unless the match is
+   * in all caps; otherwise only its first character follows the match.
+   * @param {string} found - The text as it appears on the page.
+   * @param {string} target - The stored output.
+   * @returns {string} The output in the same case as the found text.
+   */
+  function matchCase(found, target) {
+    const upper = found.toUpperCase();
+    if (found === upper && found !== found.toLowerCase() && found.length > 1) return target.toUpperCase();
+    if (target !== target.toLowerCase()) return target;
+    if (found.charAt(0) !== found.charAt(0).toLowerCase()) {
+      return target.charAt(0).toUpperCase() + target.slice(1);
+    }
+    return target;
+  }
+
+  /**
+   * Splits text into runs already replaced by the user dictionary and runs
+   * still to be converted.
+   * @param {string} text - The text to scan.
+   * @param {Array<{latin: string, cyrillic: string}>} [dictionary] - Word pairs.
+   * @param {string} from - Key of the source form: 'latin' or 'cyrillic'.
+   * @param {string} to - Key of the forced output: 'cyrillic' or 'latin'.
+   * @returns {Array<{text: string, keep: boolean}>} The runs, in order.
+   */
+  function splitDictionary(text, dictionary, from, to) {
+    if (!Array.isArray(dictionary) || dictionary.length === 0) return [{text, keep: false}];
+    let compiled = dictionaryCache.get(dictionary);
+    if (!compiled) {
+      compiled = {};
+      dictionaryCache.set(dictionary, compiled);
+    }
+    if (!(from in compiled)) compiled[from] = compileDictionary(dictionary, from, to);
+    const lookup = compiled[from];
+    if (!lookup) return [{text, keep: false}];
+
+    const ranges = [];
+    lookup.regex.lastIndex = 0;
+    let m;
+    while ((m = lookup.regex.exec(text))) {
+      const found = m[0];
+      const target = lookup.exact.has(found)
+        ? lookup.exact.get(found)
+        : matchCase(found, lookup.folded.get(found.toLowerCase()));
+      ranges.push([m.index, m.index + found.length, target]);
+    }
+    return rangesToRuns(text, ranges);
+  }
+
+  /**
+   * Turns matched ranges into alternating runs of kept and convertible text.
+   * @param {string} text - The scanned text.
+   * @param {Array<Array>} ranges - [start, end, replacement?] triples; overlaps are merged.
+   * @returns {Array<{text: string, keep: boolean}>} The runs, in order.
+   */
+  function rangesToRuns(text, ranges) {
+    if (ranges.length === 0) return [{text, keep: false}];
+
+    ranges.sort((a, b) => a[0] - b[0]);
+    const runs = [];
+    let pos = 0;
+    ranges.forEach(([start, end, replacement]) => {
+      if (start < pos) return;
+      if (start > pos) runs.push({text: text.slice(pos, start), keep: false});
+      runs.push({text: replacement !== undefined ? replacement : text.slice(start, end), keep: true});
+      pos = end;
+    });
+    if (pos < text.length) runs.push({text: text.slice(pos), keep: false});
+    return runs;
+  }
+
+  /**
+   * Joins runs back into a string, converting only the runs not marked keep.
+   * @param {Array<{text: string, keep: boolean}>} runs - The runs.
+   * @param {function(string): string} convert - The conversion for free runs.
+   * @returns {string} The joined text.
+   */
+  function joinRuns(runs, convert) {
+    return runs.map(run => run.keep ? run.text : convert(run.text)).join('');
+  }
+
+  /**
+   * Transliterates a string of text from Cyrillic to Latin.
+   * @param {string} text - The text to transliterate.
+   * @param {Object} [options] - Conversion options.
+   * @param {Array<{latin: string, cyrillic: string}>} [options.dictionary] - User word pairs
+   *   applied before the generic map.
+   * @param {string} [options.alphabet='sr'] - Alphabet profile: 'sr', 'me' or 'mk'.
+   * @param {Object|boolean} [options.ascii=false] - Write the result without diacritics:
+   *   true, or the chosen spelling per letter (see foldToAscii()).
+   * @returns {string} The transliterated text.
+   */
+  function toLatin(text, options = {}) {
+    if (!text) return text;
+    return joinRuns(splitDictionary(text, options.dictionary, 'cyrillic', 'latin'), run => {
+      const latin = mapCyrillicToLatin(run, options.alphabet);
+      return options.ascii ? foldToAscii(latin, options.ascii) : latin;
+    });
+  }
+
+  /**
+   * Transliterates a string of text from Latin to Cyrillic.
+   * @param {string} text - The text to transliterate.
+   * @param {Object} [options] - Conversion options.
+   * @param {boolean} [options.exceptions=true] - Apply the digraph exceptions from applyExceptions().
+   * @param {Object|boolean} [options.protect] - Categories of tokens to keep in Latin
+   *   (see DEFAULT_PROTECT), or false to convert everything.
+   * @param {Array<{latin: string, cyrillic: string}>} [options.dictionary] - User word pairs
+   *   applied before everything else.
+   * @param {string} [options.alphabet='sr'] - Alphabet profile: 'sr', 'me' or 'mk'.
+   * @param {Object} [options.heuristics] - Digraph guesses to switch on or off, see
+   *   DEFAULT_HEURISTICS.
+   * @returns {string} The transliterated text.
+   */
+  function toCyrillic(text, options = {}) {
+    if (!text || !text.trim()) return text;
+
+    const protect = resolveProtect(options.protect);
+
+    // 1. Keep URLs, e-mails, hashtags and mentions out of the conversion
+    return joinRuns(splitProtected(text, protect, ADDRESS_CATEGORIES), free => {
+      // 2. Words from the user dictionary win over the remaining rules
+      return joinRuns(splitDictionary(free, options.dictionary, 'latin', 'cyrillic'), rest => {
+        // 3. Keep foreign words, acronyms and Roman numerals in Latin
+        return joinRuns(splitProtected(rest, protect, WORD_CATEGORIES), run => {
+          // 4. Apply linguistic exceptions first
+          const out = options.exceptions === false ? run : applyExceptions(run, options.alphabet, options.heuristics);
+
+          // 5. Transliterate digraphs (nj, lj, dž, dj) and single letters
+          return mapLatinToCyrillic(out, options.alphabet, options.heuristics);
+        });
+      });
+    });
+  }
+
+  // Latin letters that look the same as a Cyrillic one, as left behind by OCR
+  // and copy-paste. Lowercase в, н, т, к and м look different from b, h, t, k
+  // and m, so only their capitals are listed.
+  const HOMOGLYPHS_LAT2CYR = {
+    'A': 'А', 'B': 'В', 'C': 'С', 'E': 'Е', 'H': 'Н', 'J': 'Ј', 'K': 'К', 'M': 'М', 'O': 'О',
+    'P': 'Р', 'T': 'Т', 'X': 'Х', 'a': 'а', 'c': 'с', 'e': 'е', 'j': 'ј', 'o': 'о', 'p': 'р',
+    'x': 'х', 'y': 'у'
+  };
+  const HOMOGLYPHS_CYR2LAT = {};
+  Object.keys(HOMOGLYPHS_LAT2CYR).forEach(latin => {
+    HOMOGLYPHS_CYR2LAT[HOMOGLYPHS_LAT2CYR[latin]] = latin;
+  });
+
+  const LATIN_LETTER = /\p{Script=Latin}/u;
+  const CYRILLIC_LETTER = /\p{Script=Cyrillic}/u;
+
+  /**
+   * Rewrites a word that mixes Latin and Cyrillic letters into the script
+   * most of its letters are in. Letters that have a lookalike in the other
+   * script count half, since they are the usual intruders.
+   * @param {string} word - A run of letters.
+   * @returns {string} The repaired word, or the word itself if it is not mixed or there is no clear majority.
+   */
+  function repairWord(word) {
+    let cyrillic = 0;
+    let latin = 0;
+    for (const c of word) {
+      if (CYRILLIC_LETTER.test(c)) cyrillic += HOMOGLYPHS_CYR2LAT[c] ? 1 : 2;
+      else if (LATIN_LETTER.test(c)) latin += HOMOGLYPHS_LAT2CYR[c] ? 1 : 2;
+    }
+    if (!cyrillic || !latin || cyrillic === latin) return word;
+    let out = '';
+    for (let i = 0; i < word.length; i++) {
+      const c = word[i];
+      if (cyrillic > latin && LATIN_LETTER.test(c)) {
+        out += HOMOGLYPHS_LAT2CYR[c] || SINGLE_MAP_LAT2CYR[c] || c;
+      } else if (latin > cyrillic && CYRILLIC_LETTER.test(c)) {
+        const value = HOMOGLYPHS_CYR2LAT[c] || replaceMap[c] || c;
+        // "Љubljana" is "Ljubljana", as in mapWithTable()
+        out += value.length > 1 && !capsAround(word, i, i + 1) ? value.charAt(0) + value.slice(1).toLowerCase() : value;
+      } else {
+        out += c;
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Repairs every word that mixes Latin and Cyrillic letters ("Бeоград" with
+   * a Latin e) by rewriting it into the word's dominant script.
+   * @param {string} text - The text.
+   * @param {Array<Array<number>>} [repairs] - Receives [start, end) of each
+   *   repaired word in the returned text.
+   * @returns {string} The repaired text.
+   */
+  function repairMixedScript(text, repairs) {
+    if (!text || !LATIN_LETTER.test(text) || !CYRILLIC_LETTER.test(text)) return text;
+    let shift = 0;
+    return text.replace(/[\p{L}\p{M}]+/gu, (word, offset) => {
+      const repaired = repairWord(word);
+      if (repaired !== word && repairs) repairs.push([offset + shift, offset + shift + repaired.length]);
+      shift += repaired.length - word.length;
+      return repaired;
+    });
+  }
+
+  /**
+   * Counts Cyrillic and Latin letters to tell which script a text is written in.
+   * @param {string} text - The text to inspect.
+   * @returns {{script: string, cyrillic: number, latin: number, confidence: number}}
+   *   script is 'cyrillic', 'latin' or 'unknown'; confidence is the share of the
+   *   dominant script among all counted letters (0..1).
+   */
+  function detectScript(text) {
+    const cyrillic = ((text || '').match(/\p{Script=Cyrillic}/gu) || []).length;
+    const latin = ((text || '').match(/\p{Script=Latin}/gu) || []).length;
+    const total = cyrillic + latin;
+    if (total === 0) return {script: 'unknown', cyrillic, latin, confidence: 0};
+    const script = cyrillic >= latin ? 'cyrillic' : 'latin';
+    return {script, cyrillic, latin, confidence: Math.max(cyrillic, latin) / total};
+  }
+
+  /**
+   * Share of the letters of one script that an alphabet profile does not
+   * have: я, ы, і or ъ among Cyrillic letters, w, y, q or x among Latin ones.
+   * Russian, Ukrainian, Bulgarian or English text scores several percent,
+   * Serbian text next to nothing.
+   * @param {string} text - The text to inspect.
+   * @param {string} script - 'cyrillic' or 'latin'.
+   * @param {string} [alphabet='sr'] - The alphabet profile.
+   * @returns {number} 0..1; 0 when the text has no letters of that script.
+   */
+  function foreignLetterShare(text, script, alphabet) {
+    const profile = alphabetProfile(alphabet);
+    const own = script === 'cyrillic' ? profile.cyr2lat : profile.singleLat2cyr;
+    const letters = (text || '').match(script === 'cyrillic' ? /\p{Script=Cyrillic}/gu : /\p{Script=Latin}/gu);
+    if (!letters) return 0;
+    return letters.filter(c => !own[c]).length / letters.length;
+  }
+
+  return {
+    replaceMap,
+    SEQ_MAP_LAT2CYR,
+    SINGLE_MAP_LAT2CYR,
+    ALPHABET_NAMES: Object.keys(ALPHABETS),
+    ASCII_CHOICES,
+    DEFAULT_HEURISTICS,
+    DEFAULT_PROTECT,
+    LEXICON_VERSION: lexicon.VERSION,
+    applyExceptions,
+    findExceptions,
+    mapCyrillicToLatin,
+    mapLatinToCyrillic,
+    foldToAscii,
+    splitProtected,
+    splitDictionary,
+    resolveProtect,
+    detectScript,
+    foreignLetterShare,
+    repairMixedScript,
+    toLatin,
+    toCyrillic,
+  };
+});
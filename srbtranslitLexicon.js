@@ -0,0 +1,129 @@
+/*eslint-env es6*/
+/*global module*/
+(function (root, factory) {
+  'use strict';
+
+  const lexicon = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = lexicon;
+  } else {
+    root.srbTranslitLexicon = lexicon;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  'use strict';
+
+  /**
+   * Latin → Cyrillic words in which "nj", "lj", "dj", "dž" or "dz" are two
+   * letters rather than one, e.g. "injekcija" is инјекција, not ињекција.
+   *
+   * Entries match at the start of a word, in any case and with any ending,
+   * so one entry covers every inflected form ("injekcijom", "Injekcije").
+   * Any chain of PREFIXES may come before them ("raspodjela" is ras + pod-
+   * + jela, "razodjenuti" is raz + od- + jenuti).
+   *
+   * STEMS are word beginnings with "|" where the two letters are kept apart.
+   * BOUNDARIES are prefixes ending in the first letter of the digraph, split
+   * from any root that begins with the second one ("pod" + "jednako"). They
+   * also cover the ASCII guesses "sh", "zh" and "ch" ("is" + "hrana").
+   * FORMS are whole words that a boundary would split wrongly; there the
+   * digraph stays one letter.
+   * Bump VERSION whenever an entry changes.
+   */
+  const STEMS = {
+    nj: [
+      'in|jekc', // injekcija, injekcioni
+      'in|jekt', // injektor, injektirati
+      'in|jicir', // injicirati
+      'in|jun', // injunkcija
+      'kon|jektur', // konjektura
+      'kon|jug', // konjugacija, konjugovati
+      'kon|junk', // konjunkcija, konjunktura, konjunktiv
+      'an|jon', // anjon, anjonski
+      'tan|jon', // tanjon
+      'tan|jug', // Tanjug
+      'van|jezi', // vanjezički, izvanjezički
+    ],
+    // No Serbian word in common use writes л + ј, and no prefix ends in "l";
+    // the list is here so the digraph is covered like the others
+    lj: [],
+    dj: [
+      'ad|jektiv', // adjektiv, adjektivni
+      'ad|junkt', // adjunkt, adjunktura
+      'ad|juvant', // adjuvant
+      // Ijekavian "dje", where "dj" is never ђ
+      'd|jec', // djeca, djecom
+      'd|jed', // djed, djedovina
+      'd|jel', // djelo, djelovati, dodjela, udjel, razdjel
+      'd|jet', // djeteta, djetinjstvo, djetelina
+      'd|jev', // djevojka, djever
+      'sud|jel', // sudjelovati, sudjelovanje
+      'gd|je', // gdje, negdje, gdjekad
+      'igd|je', // igdje
+      'nigd|je', // nigdje
+      'svugd|je', // svugdje
+      'ovd|je', // ovdje
+      'ond|je', // ondje
+      'vid|jet', // vidjeti, predvidjeti, zavidjeti
+      'vid|jel', // vidjela, vidjelo
+      'vid|jev', // vidjevši
+      'bd|je', // bdjeti, bdjela
+      'stid|je', // stidjeti se
+      'smrd|je', // smrdjeti
+      'žud|je', // žudjeti
+      'sjed|je', // sjedjeti, sjedjela
+    ],
+    // Every д + ж and д + з we know of comes from a prefix, see BOUNDARIES
+    dž: [],
+    dz: [],
+  };
+
+  const BOUNDARIES = {
+    dj: ['od', 'pod', 'nad', 'pred'], // odjek, podjednako, nadjačati, predjelo
+    dž: ['nad', 'pod', 'pred'], // nadživeti, podžanr, predžetveni; not od-, see "odžak"
+    dz: ['od', 'pod', 'nad', 'pred'], // odzvoniti, podzemni, nadzor, predzadnji
+    // The ASCII guesses "sh", "zh" and "ch" (see srbTranslitEngine.DEFAULT_HEURISTICS)
+    sh: ['is', 'ras', 'bes'], // ishrana, ishod, rashod, rashladni, beshrabar
+    zh: ['iz', 'raz', 'bez'], // izhod, razhladiti, bezhrabar
+    // No prefix ends in "c"
+    ch: [],
+  };
+
+  const PREFIXES = [
+    'bez', 'do', 'is', 'iz', 'na', 'nad', 'ne', 'o', 'ob', 'od', 'po', 'pod', 'pre', 'pred', 'pri', 'pro', 'ras',
+    'raz', 'sa', 'u', 'za',
+  ];
+
+  /**
+   * Forms of the verbs on -ći written in ASCII, which look like a boundary or
+   * a stem above: "nadji" is нађи (from naći), not над + ји, and "dodjete"
+   * is дођете, not до + дјете. A word is one of these, after any PREFIXES
+   * ("pronadji"), followed by exactly one of FORM_ENDINGS; "nadjev",
+   * "dodjela" or "predjeli" have other endings and keep the split.
+   */
+  const FORMS = {
+    dj: [
+      'dodj', // doći: dođi, dođete
+      'nadj', // naći, pronaći: nađi, nađem, nađen
+      'podj', // poći: pođi, pođemo, pođoh
+      'predj', // preći: pređi, pređe, pređen
+      'pridj', // prići: priđi, priđete
+      'prodj', // proći: prođi, prođete, prođen
+      'udj', // ući: uđi, uđete
+      'zadj', // zaći: zađi, zađete
+    ],
+  };
+
+  const FORM_ENDINGS = [
+    'i', 'imo', 'ite', 'e', 'em', 'eš', 'es', 'emo', 'ete', 'u', 'oh', 'osmo', 'oste', 'ose', 'en', 'ena',
+    'eno', 'eni', 'ene', 'enog', 'enom', 'enih', 'enim',
+  ];
+
+  return {
+    VERSION: '1.2.0',
+    STEMS,
+    BOUNDARIES,
+    PREFIXES,
+    FORMS,
+    FORM_ENDINGS,
+  };
+});
@@ -0,0 +1,179 @@
+/*eslint-env es6*/
+/*global window, document, browser, CSS*/
+(function () {
+  'use strict';
+
+  // Element picker for the "only inside" and "never inside" selectors of a
+  // site rule, started from the popup. The element under the pointer is
+  // outlined; a click picks it and the bar at the top shows its selector
+  // until it is saved to the rule or dropped.
+  if (window.srbTranslitPicker) return;
+
+  const MODE_TITLES = {
+    include: 'Preslovljavaj samo unutar',
+    exclude: 'Nikad ne preslovljavaj unutar',
+  };
+  // Ancestors added at most to anchor an element without id or classes
+  const MAX_DEPTH = 4;
+
+  // The host element with a closed shadow root, the outline, the bar text
+  let host = null;
+  let outline = null;
+  let label = null;
+  let mode = null;
+  // Element under the pointer, or the picked one once picked is set
+  let current = null;
+  let picked = false;
+
+  /**
+   * Selector for a single element: its id when that is unique, else its tag
+   * and up to two classes. Class names that look generated are left out.
+   * @param {Element} el - The element.
+   * @returns {string} The selector.
+   */
+  function selectorPart(el) {
+    if (el.id && document.querySelectorAll('#' + CSS.escape(el.id)).length === 1) return '#' + CSS.escape(el.id);
+    const classes = Array.from(el.classList)
+      .filter(name => !/\d{3,}|^css-|^_/.test(name))
+      .slice(0, 2)
+      .map(name => '.' + CSS.escape(name));
+    return el.localName + classes.join('');
+  }
+
+  /**
+   * Selector for an element that also matches its siblings of the same kind,
+   * e.g. every "span.username" on the page. A bare tag is anchored to its
+   * parents, since "span" alone would match far too much.
+   * @param {Element} el - The element.
+   * @returns {string} The selector.
+   */
+  function selectorFor(el) {
+    let selector = selectorPart(el);
+    let node = el;
+    for (let depth = 0; depth < MAX_DEPTH && !/[#.]/.test(selector); depth++) {
+      node = node.parentElement;
+      if (!node || node === document.body || node === document.documentElement) break;
+      selector = selectorPart(node) + ' > ' + selector;
+    }
+    return selector;
+  }
+
+  /**
+   * Moves the outline over the current element and updates the bar.
+   */
+  function render() {
+    if (!current) {
+      outline.hidden = true;
+      label.textContent = `${MODE_TITLES[mode]}: klikni element na stranici (Esc za izlaz)`;
+      return;
+    }
+    const rect = current.getBoundingClientRect();
+    outline.hidden = false;
+    outline.style.left = rect.left + 'px';
+    outline.style.top = rect.top + 'px';
+    outline.style.width = rect.width + 'px';
+    outline.style.height = rect.height + 'px';
+    const selector = selectorFor(current);
+    const count = document.querySelectorAll(selector).length;
+    label.textContent = `${MODE_TITLES[mode]}: ${selector} (${count} na stranici)` +
+      (picked ? '' : ' (klikni da izabereš)');
+  }
+
+  function onMove(event) {
+    if (picked || event.target === host) return;
+    current = event.target;
+    render();
+  }
+
+  function onClick(event) {
+    // Clicks on the bar reach the host, retargeted out of the shadow root
+    if (event.target === host) return;
+    event.preventDefault();
+    event.stopPropagation();
+    current = event.target;
+    picked = true;
+    render();
+  }
+
+  function onKey(event) {
+    if (event.key === 'Escape') stop();
+  }
+
+  /**
+   * Picks the parent of the current element instead.
+   */
+  function widen() {
+    const parent = current && current.parentElement;
+    if (parent && parent !== document.body && parent !== document.documentElement) {
+      current = parent;
+      picked = true;
+      render();
+    }
+  }
+
+  /**
+   * Hands the selector to background.js, which adds it to the site rule and
+   * converts the page again.
+   */
+  function save() {
+    if (!current) return;
+    browser.runtime.sendMessage({type: 'srb:pickSave', mode, selector: selectorFor(current)}).catch(() => {});
+    stop();
+  }
+
+  function button(text, onPress) {
+    const el = document.createElement('button');
+    el.textContent = text;
+    el.addEventListener('click', onPress);
+    return el;
+  }
+
+  /**
+   * Shows the outline and the bar and starts listening for the pick.
+   * @param {string} newMode - 'include' or 'exclude'.
+   */
+  function start(newMode) {
+    stop();
+    mode = MODE_TITLES[newMode] ? newMode : 'exclude';
+    host = document.createElement('srbtranslit-picker');
+    host.style.cssText = 'all: initial; position: fixed; top: 0; left: 0; z-index: 2147483647;';
+    const shadow = host.attachShadow({mode: 'closed'});
+    const style = document.createElement('style');
+    style.textContent = '.outline { position: fixed; pointer-events: none; box-sizing: border-box;' +
+      ' border: 2px solid #0060df; background: rgba(0, 96, 223, 0.15); }' +
+      ' .bar { position: fixed; top: 0; left: 0; right: 0; display: flex; gap: 8px; align-items: center;' +
+      ' padding: 6px 10px; background: #222; color: #fff; font: 13px/1.4 system-ui, sans-serif; }' +
+      ' .bar span { flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }';
+    outline = document.createElement('div');
+    outline.className = 'outline';
+    const bar = document.createElement('div');
+    bar.className = 'bar';
+    label = document.createElement('span');
+    bar.append(label, button('Šire', widen), button('Sačuvaj', save), button('Otkaži', stop));
+    shadow.append(style, outline, bar);
+    document.documentElement.appendChild(host);
+    document.addEventListener('mousemove', onMove, true);
+    document.addEventListener('click', onClick, true);
+    document.addEventListener('keydown', onKey, true);
+    render();
+  }
+
+  /**
+   * Removes the picker from the page.
+   */
+  function stop() {
+    document.removeEventListener('mousemove', onMove, true);
+    document.removeEventListener('click', onClick, true);
+    document.removeEventListener('keydown', onKey, true);
+    if (host) host.remove();
+    host = null;
+    current = null;
+    picked = false;
+  }
+
+  window.srbTranslitPicker = {
+    start,
+    stop,
+  };
+
+})();
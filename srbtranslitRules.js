@@ -0,0 +1,236 @@
+/*eslint-env es6*/
+/*global module, require*/
+(function (root, factory) {
+  'use strict';
+
+  // Shared by the background script, the popup and the options page.
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./srbtranslitPsl.js'));
+  } else {
+    root.srbTranslitRules = factory(root.srbTranslitPsl);
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (psl) {
+  'use strict';
+
+  // Public suffix rules split into lookup sets
+  const suffixes = new Set();
+  const wildcards = new Set();
+  const exceptions = new Set();
+  psl.RULES.forEach(rule => {
+    if (rule.startsWith('!')) exceptions.add(rule.slice(1));
+    else if (rule.startsWith('*.')) wildcards.add(rule.slice(2));
+    else suffixes.add(rule);
+  });
+
+  /**
+   * Given a URL string, extract the hostname.
+   *
+   * @param {String} url - The URL string
+   * @return {String|null} The extracted hostname, or null if the URL is malformed
+   */
+  function getHostname(url) {
+    try {
+      const u = new URL(url);
+      return u.hostname;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Length, in labels, of the public suffix of a hostname.
+   *
+   * @param {Array<String>} labels - The hostname split on dots
+   * @return {Number} Number of trailing labels that form the public suffix
+   */
+  function publicSuffixLength(labels) {
+    let longest = 1; // the implicit "*" rule
+    for (let i = labels.length - 1; i >= 0; i--) {
+      const candidate = labels.slice(i).join('.');
+      const n = labels.length - i;
+      if (exceptions.has(candidate)) return n - 1;
+      if (suffixes.has(candidate)) longest = n;
+      if (i > 0 && wildcards.has(candidate)) longest = n + 1;
+    }
+    return longest;
+  }
+
+  /**
+   * Extract the registrable domain (e.g., example.com, example.co.rs) from a hostname.
+   *
+   * @param {String} hostname - The hostname string
+   * @return {String|null} The registrable domain, or the hostname itself for IPs and public suffixes
+   */
+  function registrableDomain(hostname) {
+    if (!hostname) return null;
+    const host = hostname.toLowerCase().replace(/\.$/, '');
+    if (/^[\d.]+$/.test(host) || host.indexOf(':') !== -1) return host;
+    const labels = host.split('.');
+    const suffixLength = publicSuffixLength(labels);
+    if (labels.length <= suffixLength) return host;
+    return labels.slice(-(suffixLength + 1)).join('.');
+  }
+
+  /**
+   * Given a registrable domain, return origin patterns for permissions.
+   *
+   * @param {String} base - The registrable domain
+   * @return {Array<String>} List of origin patterns
+   */
+  function originPatternsForBase(base) {
+    if (!base) return [];
+    return [
+      `*://${base}/*`,
+      `*://*.${base}/*`,
+    ];
+  }
+
+  /**
+   * Parse a rule key into its host and path parts.
+   *
+   * Supported forms:
+   * - "example.com"          the host and all of its subdomains, any path
+   * - "*.example.com"        same, written as a match pattern
+   * - "news.example.com"     that host and its subdomains
+   * - "example.com/sr/"      path prefix
+   * - "*.example.com/sr/*"   path glob ("*" any characters, "?" one character)
+   * - "*"                    every host
+   * A leading scheme ("https://") is ignored.
+   *
+   * @param {String} key - The rule key as stored in enabledDomains
+   * @return {{host: String, wildcard: Boolean, path: String, pathRegex: RegExp|null}|null}
+   */
+  function parsePattern(key) {
+    if (!key || typeof key !== 'string') return null;
+    const trimmed = key.trim().toLowerCase().replace(/^[a-z*]+:\/\//, '');
+    const slash = trimmed.indexOf('/');
+    let host = slash === -1 ? trimmed : trimmed.slice(0, slash);
+    const path = slash === -1 ? '' : trimmed.slice(slash);
+    const wildcard = host.startsWith('*.');
+    if (wildcard) host = host.slice(2);
+    if (!host || /[\s/]/.test(host) || (host !== '*' && host.indexOf('*') !== -1)) return null;
+
+    let pathRegex = null;
+    if (/[*?]/.test(path)) {
+      const source = path.split('').map(c => {
+        if (c === '*') return '.*';
+        if (c === '?') return '.';
+        return c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+      }).join('');
+      pathRegex = new RegExp('^' + source + '$');
+    }
+    return {host, wildcard, path, pathRegex};
+  }
+
+  /**
+   * Score how specifically a rule key matches a URL.
+   *
+   * @param {String} key - The rule key
+   * @param {String} url - The page URL
+   * @return {Array<Number>|null} [path specificity, host specificity], or null if it does not match
+   */
+  function matchScore(key, url) {
+    const pattern = parsePattern(key);
+    if (!pattern) return null;
+    let u;
+    try {
+      u = new URL(url);
+    } catch (e) {
+      return null;
+    }
+    const host = u.hostname.toLowerCase();
+
+    let hostScore;
+    if (pattern.host === '*') {
+      hostScore = 0;
+    } else if (host === pattern.host) {
+      // An exact host beats the same host reached through a subdomain rule
+      hostScore = pattern.host.split('.').length * 2 + 1;
+    } else if (host.endsWith('.' + pattern.host)) {
+      hostScore = pattern.host.split('.').length * 2;
+    } else {
+      return null;
+    }
+
+    let pathScore = 0;
+    if (pattern.pathRegex) {
+      if (!pattern.pathRegex.test(u.pathname.toLowerCase())) return null;
+      pathScore = pattern.path.replace(/[*?]/g, '').length;
+    } else if (pattern.path) {
+      if (!u.pathname.toLowerCase().startsWith(pattern.path)) return null;
+      pathScore = pattern.path.length;
+    }
+    return [pathScore, hostScore];
+  }
+
+  /**
+   * Find the most specific rule for a URL. Path rules win over host-only
+   * rules, then longer hosts win over shorter ones.
+   *
+   * @param {Object} map - enabledDomains map of key → rule
+   * @param {String} url - The page URL
+   * @return {{key: String, rule: Object}|null} The matching rule
+   */
+  function findRule(map, url) {
+    let best = null;
+    let bestScore = null;
+    for (const key of Object.keys(map || {})) {
+      const score = matchScore(key, url);
+      if (!score) continue;
+      if (!bestScore || score[0] > bestScore[0] || (score[0] === bestScore[0] && score[1] > bestScore[1])) {
+        best = {key, rule: map[key]};
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Decide what covers a URL. An explicit rule always wins; otherwise, with
+   * the global mode on, a page on the blocklist is left alone and any other
+   * web page gets the global direction. Extension, file and about: pages
+   * are never covered by the global mode.
+   *
+   * @param {Object} map - enabledDomains map of key → rule
+   * @param {Object} global - settings.global: {enabled, direction, alphabet, blocklist}
+   * @param {String} url - The page URL
+   * @return {{source: String, key: String|null, rule: Object|null}|null} source is 'rule',
+   *   'blocked' or 'global', key the matching rule or blocklist entry; null when nothing applies
+   */
+  function findCoverage(map, global, url) {
+    const match = findRule(map, url);
+    if (match) return {source: 'rule', key: match.key, rule: match.rule};
+    if (!global || !global.enabled || !/^https?:/i.test(url)) return null;
+    const blocklist = {};
+    (global.blocklist || []).forEach(key => {
+      blocklist[key] = true;
+    });
+    const blocked = findRule(blocklist, url);
+    if (blocked) return {source: 'blocked', key: blocked.key, rule: null};
+    return {source: 'global', key: null, rule: {direction: global.direction, alphabet: global.alphabet}};
+  }
+
+  /**
+   * Origin patterns that grant access to every page a rule key can match.
+   *
+   * @param {String} key - The rule key
+   * @return {Array<String>} List of origin patterns
+   */
+  function originPatternsForKey(key) {
+    const pattern = parsePattern(key);
+    if (!pattern) return [];
+    if (pattern.host === '*') return ['<all_urls>'];
+    return originPatternsForBase(pattern.host);
+  }
+
+  return {
+    getHostname,
+    registrableDomain,
+    originPatternsForBase,
+    originPatternsForKey,
+    parsePattern,
+    matchScore,
+    findRule,
+    findCoverage,
+  };
+});
@@ -0,0 +1,26 @@
+/*eslint-env es6*/
+/*global Element, CustomEvent, queueMicrotask*/
+(function () {
+  'use strict';
+
+  // Runs in the page's own context (world: MAIN). Content scripts cannot see
+  // attachShadow() calls, so announce every new open shadow root with an
+  // event that srbtranslitDom.js listens for.
+  const attachShadow = Element.prototype.attachShadow;
+  if (!attachShadow || attachShadow.srbTranslit) return;
+
+  function patchedAttachShadow(init) {
+    const root = attachShadow.call(this, init);
+    if (init && init.mode === 'open') {
+      const host = this;
+      // Give custom elements a chance to render into the new root first
+      queueMicrotask(function () {
+        host.dispatchEvent(new CustomEvent('srbtranslit:shadowroot', {bubbles: true, composed: true}));
+      });
+    }
+    return root;
+  }
+  patchedAttachShadow.srbTranslit = true;
+  Element.prototype.attachShadow = patchedAttachShadow;
+
+})();
@@ -0,0 +1,587 @@
+/*eslint-env es6*/
+/*global module, browser, TextEncoder*/
+(function (root, factory) {
+  'use strict';
+
+  // Shared by the background script and the extension pages; the migration
+  // and validation helpers also load under Node.
+  const storage = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = storage;
+  } else {
+    root.srbTranslitStorage = storage;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  'use strict';
+
+  // Version of the exported configuration format. Bump it together with a
+  // new step in migrateConfig().
+  const CONFIG_VERSION = 1;
+  const CONFIG_FORMAT = 'srbTranslit';
+  const DIRECTIONS = ['lat_to_cyr', 'cyr_to_lat'];
+  // Site rules may also name a target script; the page is then sampled and
+  // converted only if it is written in the other one
+  const RULE_DIRECTIONS = DIRECTIONS.concat(['auto_cyr', 'auto_lat']);
+  // Alphabet profiles of the engine: Serbian, Montenegrin, Macedonian
+  const ALPHABETS = ['sr', 'me', 'mk'];
+
+  // Preferences used when the user has not changed them
+  const DEFAULT_SETTINGS = {
+    attributes: {
+      enabled: false,
+      names: ['title', 'alt', 'placeholder', 'aria-label', 'value', 'label'],
+    },
+    typing: {
+      direction: 'lat_to_cyr',
+    },
+    selection: {
+      replaceInEditable: false,
+    },
+    repair: {
+      enabled: false,
+      highlight: false,
+    },
+    global: {
+      // Convert every page that has no rule of its own, except the blocklist
+      enabled: false,
+      direction: 'auto_lat',
+      alphabet: 'sr',
+      // Rule patterns (see srbTranslitRules.parsePattern) of sites where
+      // conversion breaks things: code hosts and web apps
+      blocklist: [
+        'github.com', 'gitlab.com', 'bitbucket.org', 'codeberg.org', 'docs.google.com', 'mail.google.com',
+        'drive.google.com', 'office.com', 'outlook.live.com', 'figma.com', 'notion.so',
+      ],
+    },
+    tooltip: {
+      // Show the original text of a converted passage on hover or long press
+      enabled: false,
+    },
+    lang: {
+      // Skip passages marked as another language and retag converted ones
+      respect: true,
+      translateNo: false,
+      // Disregard <html lang>, which many CMSs leave at "en" over Serbian text
+      ignoreRoot: false,
+    },
+    latin: {
+      // Cyrillic → Latin without diacritics, with the spelling chosen per letter
+      asciiOutput: false,
+      ascii: {'č': 'c', 'ć': 'c', 'š': 's', 'ž': 'z', 'đ': 'dj'},
+      // Latin → Cyrillic digraph guesses (see srbTranslitEngine.DEFAULT_HEURISTICS)
+      heuristics: {dj: true, dz: true, ch: false, sh: false, zh: false},
+    },
+  };
+
+  /**
+   * Normalize a stored enabledDomains value into a map.
+   *
+   * @param {Object|Array|undefined} enabledDomains - The stored value
+   * @return {Object} Map of domain → {direction}
+   */
+  function normalizeEnabledMap(enabledDomains) {
+    if (Array.isArray(enabledDomains)) {
+      // Migration from old array format
+      const map = {};
+      for (const d of enabledDomains) map[d] = {direction: 'lat_to_cyr'};
+      return map;
+    }
+    return enabledDomains || {};
+  }
+
+  /**
+   * Get the map of enabled domains and their directions.
+   */
+  async function getEnabledMap() {
+    const {enabledDomains} = await browser.storage.local.get('enabledDomains');
+    return normalizeEnabledMap(enabledDomains);
+  }
+
+  async function setEnabledMap(map) {
+    const before = await getEnabledMap();
+    await browser.storage.local.set({enabledDomains: map});
+    const now = Date.now();
+    await stamp(stamps => {
+      Object.keys(map).forEach(domain => {
+        if (JSON.stringify(map[domain]) !== JSON.stringify(before[domain])) stamps.rules[domain] = now;
+      });
+      Object.keys(before).forEach(domain => {
+        if (!(domain in map)) stamps.rules[domain] = now;
+      });
+    });
+  }
+
+  /**
+   * Get the stored preferences object, with defaults for missing sections.
+   */
+  async function getSettings() {
+    const {settings} = await browser.storage.local.get('settings');
+    return Object.assign({}, DEFAULT_SETTINGS, settings || {});
+  }
+
+  async function setSettings(settings) {
+    await browser.storage.local.set({settings});
+    await stamp(stamps => {
+      stamps.settings = Date.now();
+    });
+  }
+
+  /**
+   * Get the user dictionary of forced transliterations.
+   *
+   * @return {Promise<Array<{latin: String, cyrillic: String}>>} The word pairs
+   */
+  async function getUserDictionary() {
+    const {userDictionary} = await browser.storage.local.get('userDictionary');
+    return Array.isArray(userDictionary) ? userDictionary : [];
+  }
+
+  async function setUserDictionary(list) {
+    await browser.storage.local.set({userDictionary: list});
+    await stamp(stamps => {
+      stamps.dictionary = Date.now();
+    });
+  }
+
+  /**
+   * Get the options for srbTranslitEngine.toLatin()/toCyrillic() that follow
+   * from the stored preferences and the user dictionary.
+   *
+   * @return {Promise<Object>} protect, dictionary, ascii and heuristics
+   */
+  async function getConversionOptions() {
+    const settings = await getSettings();
+    return {
+      protect: settings.protect,
+      dictionary: await getUserDictionary(),
+      ascii: settings.latin.asciiOutput ? settings.latin.ascii : false,
+      heuristics: settings.latin.heuristics,
+    };
+  }
+
+  // --- Sync across devices ---
+  //
+  // storage.local stays the working copy everything reads from. With sync on,
+  // rules, settings and the dictionary are mirrored to storage.sync as one
+  // JSON document cut into chunks, and merged with what other devices wrote:
+  // per domain for rules, as a whole for settings and for the dictionary, the
+  // newest change wins. The switch itself, the sync status and throttling
+  // such as notifiedMissingPermission stay on this device.
+
+  // storage.sync quotas (QUOTA_BYTES_PER_ITEM, QUOTA_BYTES), with headroom
+  const SYNC_ITEM_BYTES = 8192 - 64;
+  const SYNC_TOTAL_BYTES = 102400 - 1024;
+  const SYNC_FORMAT = 1;
+  // Key of the chunk count and of each chunk: syncChunk0, syncChunk1, ...
+  const SYNC_META = 'syncMeta';
+  const SYNC_CHUNK = 'syncChunk';
+  // Syncs started in this page or script run one after another
+  let syncing = Promise.resolve();
+
+  /**
+   * Get the times of the last local change to each synced item.
+   *
+   * @return {Promise<{rules: Object, settings: Number, dictionary: Number}>} rules maps
+   *   domain → time, for removed domains too; 0 means never changed since install
+   */
+  async function getSyncStamps() {
+    const {syncStamps} = await browser.storage.local.get('syncStamps');
+    return Object.assign({rules: {}, settings: 0, dictionary: 0}, syncStamps || {});
+  }
+
+  /**
+   * Record a local change and pass it on to the other devices.
+   *
+   * @param {function(Object)} update - Changes the stamps in place
+   */
+  async function stamp(update) {
+    const stamps = await getSyncStamps();
+    update(stamps);
+    await browser.storage.local.set({syncStamps: stamps});
+    await syncNow();
+  }
+
+  /**
+   * The synced document of this device.
+   *
+   * @return {Promise<Object>} {format, rules: {domain → {rule, time}}, settings: {value, time},
+   *   dictionary: {value, time}}; a removed domain has rule null
+   */
+  async function localSyncData() {
+    const stamps = await getSyncStamps();
+    const map = await getEnabledMap();
+    const rules = {};
+    Object.keys(Object.assign({}, stamps.rules, map)).sort().forEach(domain => {
+      rules[domain] = {rule: map[domain] || null, time: stamps.rules[domain] || 0};
+    });
+    const {settings} = await browser.storage.local.get('settings');
+    return {
+      format: SYNC_FORMAT,
+      rules,
+      settings: {value: settings || {}, time: stamps.settings},
+      dictionary: {value: await getUserDictionary(), time: stamps.dictionary},
+    };
+  }
+
+  /**
+   * Whether an entry of a synced document holds nothing: a removed rule, no
+   * stored settings or an empty dictionary.
+   *
+   * @param {Object} entry - {rule, time} or {value, time}
+   * @return {Boolean} True if there is nothing to lose
+   */
+  function isEmptyEntry(entry) {
+    const value = 'value' in entry ? entry.value : entry.rule;
+    if (Array.isArray(value)) return !value.length;
+    return !isPlainObject(value) || !Object.keys(value).length;
+  }
+
+  /**
+   * Merge two synced documents, keeping the newest change per domain and the
+   * newest settings and dictionary. On equal times the remote side wins, so
+   * two devices never hand the same tie back and forth, except that an empty
+   * remote entry never replaces local data that has no time yet.
+   *
+   * @param {Object} local - This device's document
+   * @param {Object|null} remote - The document in storage.sync
+   * @return {Object} The merged document
+   */
+  function mergeSyncData(local, remote) {
+    if (!remote) return local;
+    const newer = (mine, theirs) => {
+      if (!mine || !theirs) return mine || theirs;
+      if (theirs.time !== mine.time) return theirs.time > mine.time ? theirs : mine;
+      return !mine.time && isEmptyEntry(theirs) && !isEmptyEntry(mine) ? mine : theirs;
+    };
+    const rules = {};
+    Object.keys(Object.assign({}, local.rules, remote.rules)).sort().forEach(domain => {
+      rules[domain] = newer(local.rules[domain], remote.rules[domain]);
+    });
+    return {
+      format: SYNC_FORMAT,
+      rules,
+      settings: newer(local.settings, remote.settings),
+      dictionary: newer(local.dictionary, remote.dictionary),
+    };
+  }
+
+  /**
+   * Cut a JSON text into pieces that each fit one storage.sync item.
+   *
+   * @param {String} json - The document
+   * @return {Array<String>} The chunks
+   */
+  function chunkText(json) {
+    const encoder = new TextEncoder();
+    const chunks = [];
+    let chunk = '';
+    let bytes = 0;
+    for (const c of json) {
+      // Stored size of the character as part of a JSON string, in UTF-8
+      const size = encoder.encode(JSON.stringify(c)).length - 2;
+      if (bytes + size > SYNC_ITEM_BYTES) {
+        chunks.push(chunk);
+        chunk = '';
+        bytes = 0;
+      }
+      chunk += c;
+      bytes += size;
+    }
+    chunks.push(chunk);
+    return chunks;
+  }
+
+  /**
+   * Read the document other devices left in storage.sync.
+   *
+   * @return {Promise<Object|null>} The document, or null if there is none or it is incomplete
+   */
+  async function readRemote() {
+    const stored = await browser.storage.sync.get(null);
+    const meta = stored[SYNC_META];
+    if (!isPlainObject(meta) || meta.format !== SYNC_FORMAT) return null;
+    let json = '';
+    for (let i = 0; i < meta.chunks; i++) {
+      if (typeof stored[SYNC_CHUNK + i] !== 'string') return null;
+      json += stored[SYNC_CHUNK + i];
+    }
+    try {
+      const data = JSON.parse(json);
+      return isPlainObject(data) && isPlainObject(data.rules) ? data : null;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /**
+   * Write a document to storage.sync and drop chunks left over from a longer one.
+   *
+   * @param {Object} data - The merged document
+   * @throws {Error} If the document does not fit the storage.sync quota
+   */
+  async function writeRemote(data) {
+    const json = JSON.stringify(data);
+    const chunks = chunkText(json);
+    const total = new TextEncoder().encode(json).length + chunks.length * 64;
+    if (total > SYNC_TOTAL_BYTES) {
+      throw new Error(`Podešavanja su prevelika za sinhronizaciju (${Math.ceil(total / 1024)} KB od ` +
+        `${Math.floor(SYNC_TOTAL_BYTES / 1024)} KB). Skrati rečnik ili listu pravila.`);
+    }
+    const items = {[SYNC_META]: {format: SYNC_FORMAT, chunks: chunks.length, updatedAt: Date.now()}};
+    chunks.forEach((chunk, i) => {
+      items[SYNC_CHUNK + i] = chunk;
+    });
+    await browser.storage.sync.set(items);
+    const stale = Object.keys(await browser.storage.sync.get(null))
+      .filter(key => key.startsWith(SYNC_CHUNK) && Number(key.slice(SYNC_CHUNK.length)) >= chunks.length);
+    if (stale.length) await browser.storage.sync.remove(stale);
+  }
+
+  /**
+   * Whether sync is switched on for this device.
+   */
+  async function getSyncEnabled() {
+    const {syncEnabled} = await browser.storage.local.get('syncEnabled');
+    return !!syncEnabled;
+  }
+
+  /**
+   * Switch sync on or off for this device. Switching on merges right away.
+   *
+   * @param {Boolean} enabled - The new state
+   */
+  async function setSyncEnabled(enabled) {
+    await browser.storage.local.set({syncEnabled: !!enabled});
+    if (enabled) {
+      await stampUnsynced();
+      await syncNow();
+    }
+  }
+
+  /**
+   * Give data kept from before sync existed the current time, so it wins over
+   * whatever other devices uploaded before it, empty copies in particular.
+   * Empty items keep time 0 and take the other devices' data.
+   */
+  async function stampUnsynced() {
+    const stamps = await getSyncStamps();
+    const data = await localSyncData();
+    const now = Date.now();
+    Object.keys(data.rules).forEach(domain => {
+      if (!data.rules[domain].time && !isEmptyEntry(data.rules[domain])) stamps.rules[domain] = now;
+    });
+    ['settings', 'dictionary'].forEach(item => {
+      if (!data[item].time && !isEmptyEntry(data[item])) stamps[item] = now;
+    });
+    await browser.storage.local.set({syncStamps: stamps});
+  }
+
+  /**
+   * Get the outcome of the last sync on this device.
+   *
+   * @return {Promise<{time: Number, error: String|null}|null>} Null before the first sync
+   */
+  async function getSyncStatus() {
+    const {syncStatus} = await browser.storage.local.get('syncStatus');
+    return syncStatus || null;
+  }
+
+  /**
+   * Merge this device's rules, settings and dictionary with storage.sync and
+   * write the result to both sides, where it changed. Does nothing while sync
+   * is off; failures are recorded in the sync status rather than thrown.
+   */
+  function syncNow() {
+    syncing = syncing.then(runSync).catch(() => {});
+    return syncing;
+  }
+
+  async function runSync() {
+    if (!await getSyncEnabled()) return;
+    let error = null;
+    try {
+      const local = await localSyncData();
+      const remote = await readRemote();
+      const merged = mergeSyncData(local, remote);
+      if (JSON.stringify(merged) !== JSON.stringify(local)) {
+        const map = {};
+        const stamps = {rules: {}, settings: merged.settings.time, dictionary: merged.dictionary.time};
+        Object.keys(merged.rules).forEach(domain => {
+          const entry = merged.rules[domain];
+          if (entry.rule) map[domain] = entry.rule;
+          if (entry.time) stamps.rules[domain] = entry.time;
+        });
+        await browser.storage.local.set({
+          enabledDomains: map,
+          settings: merged.settings.value,
+          userDictionary: merged.dictionary.value,
+          syncStamps: stamps,
+        });
+      }
+      if (JSON.stringify(merged) !== JSON.stringify(remote)) await writeRemote(merged);
+    } catch (e) {
+      error = e.message || String(e);
+    }
+    await browser.storage.local.set({syncStatus: {time: Date.now(), error}});
+  }
+
+  function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  /**
+   * Bring an exported configuration of any known version up to CONFIG_VERSION.
+   *
+   * @param {Object} data - Parsed JSON
+   * @return {Object} The configuration in the current format
+   * @throws {Error} If the data is not a srbTranslit configuration or is too new
+   */
+  function migrateConfig(data) {
+    if (!isPlainObject(data)) throw new Error('Fajl ne sadrži srbTranslit podešavanja.');
+    let config = Object.assign({}, data);
+
+    // Version 0: a raw dump of storage.local, possibly with the old array of domains
+    if (config.version === undefined) {
+      if (!('enabledDomains' in config)) throw new Error('Fajl ne sadrži srbTranslit podešavanja.');
+      config = {
+        format: CONFIG_FORMAT,
+        version: 1,
+        enabledDomains: normalizeEnabledMap(config.enabledDomains),
+        settings: config.settings || {},
+        userDictionary: config.userDictionary || [],
+      };
+    }
+
+    if (config.format !== CONFIG_FORMAT) throw new Error('Fajl ne sadrži srbTranslit podešavanja.');
+    if (typeof config.version !== 'number' || config.version < 1) {
+      throw new Error(`Nepoznata verzija podešavanja: ${config.version}`);
+    }
+    if (config.version > CONFIG_VERSION) {
+      throw new Error(`Podešavanja su iz novije verzije dodatka (${config.version}). Ažuriraj srbTranslit.`);
+    }
+    return config;
+  }
+
+  /**
+   * Check a configuration in the current format.
+   *
+   * @param {Object} config - The output of migrateConfig()
+   * @return {Array<String>} Human-readable problems; empty when valid
+   */
+  function validateConfig(config) {
+    const problems = [];
+    if (!isPlainObject(config.enabledDomains)) {
+      problems.push('"enabledDomains" mora biti objekat.');
+    } else {
+      for (const [domain, rule] of Object.entries(config.enabledDomains)) {
+        if (!domain.trim() || /\s/.test(domain)) problems.push(`Neispravan domen: "${domain}"`);
+        if (!isPlainObject(rule) || RULE_DIRECTIONS.indexOf(rule.direction) === -1) {
+          problems.push(`Neispravan smer za ${domain}`);
+        } else if (rule.alphabet !== undefined && ALPHABETS.indexOf(rule.alphabet) === -1) {
+          problems.push(`Neispravna azbuka za ${domain}`);
+        } else if (['include', 'exclude'].some(field => rule[field] !== undefined && typeof rule[field] !== 'string')) {
+          problems.push(`Neispravni CSS selektori za ${domain}`);
+        }
+      }
+    }
+    if (!isPlainObject(config.settings)) {
+      problems.push('"settings" mora biti objekat.');
+    } else {
+      if (config.settings.protect !== undefined && !isPlainObject(config.settings.protect)) {
+        problems.push('"settings.protect" mora biti objekat.');
+      }
+      const attributes = config.settings.attributes;
+      if (attributes !== undefined && (!isPlainObject(attributes) || !Array.isArray(attributes.names))) {
+        problems.push('"settings.attributes" mora imati listu "names".');
+      }
+      if (config.settings.repair !== undefined && !isPlainObject(config.settings.repair)) {
+        problems.push('"settings.repair" mora biti objekat.');
+      }
+      const global = config.settings.global;
+      if (global !== undefined && (!isPlainObject(global) || RULE_DIRECTIONS.indexOf(global.direction) === -1 ||
+        !Array.isArray(global.blocklist) || global.blocklist.some(key => typeof key !== 'string'))) {
+        problems.push('"settings.global" mora imati ispravan smer i listu "blocklist".');
+      }
+      if (config.settings.tooltip !== undefined && !isPlainObject(config.settings.tooltip)) {
+        problems.push('"settings.tooltip" mora biti objekat.');
+      }
+      if (config.settings.lang !== undefined && !isPlainObject(config.settings.lang)) {
+        problems.push('"settings.lang" mora biti objekat.');
+      }
+      const latin = config.settings.latin;
+      if (latin !== undefined && (!isPlainObject(latin) || !isPlainObject(latin.ascii) || !isPlainObject(latin.heuristics))) {
+        problems.push('"settings.latin" mora imati objekte "ascii" i "heuristics".');
+      }
+      const typing = config.settings.typing;
+      if (typing !== undefined && (!isPlainObject(typing) || DIRECTIONS.indexOf(typing.direction) === -1)) {
+        problems.push('Neispravan smer u "settings.typing".');
+      }
+    }
+    if (!Array.isArray(config.userDictionary)) {
+      problems.push('"userDictionary" mora biti lista.');
+    } else {
+      config.userDictionary.forEach((entry, i) => {
+        if (!isPlainObject(entry) || typeof entry.latin !== 'string' || typeof entry.cyrillic !== 'string') {
+          problems.push(`Neispravna stavka rečnika #${i + 1}`);
+        }
+      });
+    }
+    return problems;
+  }
+
+  /**
+   * Collect everything the user configured into one versioned object.
+   */
+  async function exportConfig() {
+    return {
+      format: CONFIG_FORMAT,
+      version: CONFIG_VERSION,
+      exportedAt: new Date().toISOString(),
+      enabledDomains: await getEnabledMap(),
+      settings: await getSettings(),
+      userDictionary: await getUserDictionary(),
+    };
+  }
+
+  /**
+   * Replace the stored configuration with an imported one.
+   *
+   * @param {Object} data - Parsed JSON of an exported configuration
+   * @throws {Error} If the data cannot be migrated or fails validation
+   */
+  async function importConfig(data) {
+    const config = migrateConfig(data);
+    const problems = validateConfig(config);
+    if (problems.length) throw new Error(problems.join('\n'));
+    await setEnabledMap(config.enabledDomains);
+    await setSettings(config.settings);
+    await setUserDictionary(config.userDictionary);
+    return config;
+  }
+
+  return {
+    CONFIG_VERSION,
+    DIRECTIONS,
+    RULE_DIRECTIONS,
+    ALPHABETS,
+    DEFAULT_SETTINGS,
+    normalizeEnabledMap,
+    getEnabledMap,
+    setEnabledMap,
+    getSettings,
+    setSettings,
+    getUserDictionary,
+    setUserDictionary,
+    getConversionOptions,
+    getSyncEnabled,
+    setSyncEnabled,
+    getSyncStatus,
+    mergeSyncData,
+    chunkText,
+    syncNow,
+    migrateConfig,
+    validateConfig,
+    exportConfig,
+    importConfig,
+  };
+});
@@ -0,0 +1,318 @@
+/*eslint-env es6*/
+/*global window, document, NodeFilter*/
+(function () {
+  'use strict';
+
+  // Injected again for every command; keep one instance per frame so the
+  // set of live fields survives.
+  if (window.srbTranslitTyping) return;
+
+  const engine = window.srbTranslitEngine;
+  const storage = window.srbTranslitStorage;
+
+  // Digraphs merged while typing, when the alphabet profile and the
+  // heuristics make them one letter. "dz" is left out on purpose: it is far
+  // more often d + z ("podzemni") than џ, and a Latin keyboard has ž for "dž".
+  const TYPING_DIGRAPHS = ['nj', 'lj', 'dž', 'dj', 'ch', 'sh', 'zh'];
+
+  // Fields with live transliteration -> {direction, options, outline}
+  const liveFields = new Map();
+  let busy = false;
+  let listening = false;
+
+  /**
+   * Returns the focused element, looking inside open shadow roots.
+   * @returns {Element|null} The deepest focused element.
+   */
+  function deepActiveElement() {
+    let el = document.activeElement;
+    while (el && el.shadowRoot && el.shadowRoot.activeElement) {
+      el = el.shadowRoot.activeElement;
+    }
+    return el;
+  }
+
+  /**
+   * Whether an element is a text input or textarea we can edit by value.
+   * @param {Element} el - The element.
+   * @returns {boolean} True for textareas and text-like inputs.
+   */
+  function isTextControl(el) {
+    if (!el) return false;
+    if (el.nodeName === 'TEXTAREA') return true;
+    return el.nodeName === 'INPUT' && ['text', 'search', 'url', 'email', ''].indexOf((el.type || '').toLowerCase()) !== -1;
+  }
+
+  /**
+   * Finds the editable field an element belongs to: the control itself or the
+   * outermost contenteditable ancestor.
+   * @param {Node} node - The event target or focused element.
+   * @returns {Element|null} The field, or null if it is not editable.
+   */
+  function editableField(node) {
+    let el = node && node.nodeType === 3 ? node.parentNode : node;
+    if (isTextControl(el)) return el;
+    if (!el || !el.isContentEditable) return null;
+    while (el.parentElement && el.parentElement.isContentEditable) el = el.parentElement;
+    return el;
+  }
+
+  /**
+   * Replaces the `count` characters before the caret, going through the
+   * browser's editing commands so the change lands on the native undo stack.
+   * @param {Element} field - The live field.
+   * @param {number} count - Number of characters before the caret to replace.
+   * @param {string} text - The replacement.
+   */
+  function replaceBeforeCaret(field, count, text) {
+    busy = true;
+    try {
+      if (isTextControl(field)) {
+        const end = field.selectionEnd;
+        field.setSelectionRange(end - count, end);
+        if (!document.execCommand('insertText', false, text)) {
+          field.setRangeText(text, end - count, end, 'end');
+          field.dispatchEvent(new window.InputEvent('input', {bubbles: true, inputType: 'insertReplacementText'}));
+        }
+        return;
+      }
+      const selection = field.getRootNode().getSelection
+        ? field.getRootNode().getSelection()
+        : window.getSelection();
+      const node = selection.focusNode;
+      const offset = selection.focusOffset;
+      if (!node || node.nodeType !== 3) return;
+      const range = document.createRange();
+      range.setStart(node, offset - count);
+      range.setEnd(node, offset);
+      selection.removeAllRanges();
+      selection.addRange(range);
+      if (!document.execCommand('insertText', false, text)) {
+        node.data = node.data.slice(0, offset - count) + text + node.data.slice(offset);
+        selection.collapse(node, offset - count + text.length);
+      }
+    } finally {
+      busy = false;
+    }
+  }
+
+  /**
+   * Returns up to two characters right before the caret of a field.
+   * @param {Element} field - The live field.
+   * @returns {string} The characters, or '' if the caret is not collapsed in text.
+   */
+  function textBeforeCaret(field) {
+    if (isTextControl(field)) {
+      if (field.selectionStart !== field.selectionEnd) return '';
+      const end = field.selectionEnd;
+      return field.value.slice(Math.max(0, end - 2), end);
+    }
+    const selection = field.getRootNode().getSelection
+      ? field.getRootNode().getSelection()
+      : window.getSelection();
+    if (!selection || !selection.isCollapsed || !selection.focusNode || selection.focusNode.nodeType !== 3) return '';
+    const offset = selection.focusOffset;
+    return selection.focusNode.data.slice(Math.max(0, offset - 2), offset);
+  }
+
+  /**
+   * The letter a Cyrillic letter and the Latin letter typed after it merge
+   * into, e.g. "н" + "j" → "њ".
+   * @param {string} previous - The character before the typed one.
+   * @param {string} typed - The Latin character just typed.
+   * @param {Object} options - Conversion options of the field.
+   * @returns {string|null} The merged letter, or null if the two stay apart.
+   */
+  function mergedLetter(previous, typed, options) {
+    const first = engine.toLatin(previous, {alphabet: options.alphabet});
+    if (first === previous) return null;
+    const pair = first + typed;
+    if (TYPING_DIGRAPHS.indexOf(pair.toLowerCase()) === -1) return null;
+    const letter = engine.mapLatinToCyrillic(pair, options.alphabet, options.heuristics);
+    return letter.length === 1 ? letter : null;
+  }
+
+  /**
+   * Converts what was just typed into a live field, with the same options
+   * the page conversion uses.
+   * @param {InputEvent} event - The input event.
+   */
+  function onInput(event) {
+    if (busy || event.isComposing || event.inputType !== 'insertText' || !event.data) return;
+    const field = editableField(event.composedPath()[0]);
+    const live = field && liveFields.get(field);
+    if (!live) return;
+
+    const before = textBeforeCaret(field);
+    if (!before) return;
+    const typed = before.charAt(before.length - 1);
+
+    if (live.direction === 'lat_to_cyr') {
+      const converted = engine.toCyrillic(typed, live.options);
+      if (converted === typed) return;
+      replaceBeforeCaret(field, 1, converted);
+      // A second edit, so undo (Ctrl+Z) brings back "нј" when the merge was wrong
+      const merged = before.length === 2 ? mergedLetter(before.charAt(0), typed, live.options) : null;
+      if (merged) replaceBeforeCaret(field, 1 + converted.length, merged);
+    } else {
+      const converted = engine.toLatin(typed, live.options);
+      if (converted !== typed) replaceBeforeCaret(field, 1, converted);
+    }
+  }
+
+  /**
+   * Marks a field as live so the user can see where typing is converted.
+   * @param {Element} field - The field.
+   * @param {boolean} on - Whether the field is live.
+   */
+  function setCue(field, on) {
+    if (on) {
+      liveFields.get(field).outline = field.style.outline;
+      field.style.outline = '2px solid #0060df';
+    } else {
+      field.style.outline = liveFields.get(field).outline || '';
+    }
+  }
+
+  /**
+   * Turns live transliteration on or off for the focused field.
+   * @param {string} [alphabet='sr'] - Alphabet profile of the page's rule.
+   * @returns {Promise<{ok: boolean, live?: boolean}>} The new state, or ok=false without a focused field.
+   */
+  async function toggleFocused(alphabet = 'sr') {
+    if (!document.hasFocus()) return {ok: false};
+    const field = editableField(deepActiveElement());
+    if (!field) return {ok: false};
+
+    if (liveFields.has(field)) {
+      setCue(field, false);
+      liveFields.delete(field);
+      return {ok: true, live: false};
+    }
+    const {typing} = await storage.getSettings();
+    const options = Object.assign(await storage.getConversionOptions(), {alphabet});
+    liveFields.set(field, {direction: typing.direction, options});
+    setCue(field, true);
+    if (!listening) {
+      // Capture phase on the document also sees input events retargeted from shadow roots
+      document.addEventListener('input', onInput, true);
+      listening = true;
+    }
+    return {ok: true, live: true};
+  }
+
+  /**
+   * Converts the whole content of the focused field once.
+   * @param {string} direction - 'cyr_to_lat' or 'lat_to_cyr'.
+   * @param {string} [alphabet='sr'] - Alphabet profile of the page's rule.
+   * @returns {Promise<{ok: boolean}>} ok=false without a focused field.
+   */
+  async function convertFocused(direction, alphabet = 'sr') {
+    const field = editableField(deepActiveElement());
+    if (!field) return {ok: false};
+    const options = Object.assign(await storage.getConversionOptions(), {alphabet});
+    const convert = direction === 'cyr_to_lat'
+      ? text => engine.toLatin(text, options)
+      : text => engine.toCyrillic(text, options);
+
+    busy = true;
+    try {
+      if (isTextControl(field)) {
+        const value = field.value;
+        const converted = convert(value);
+        if (converted === value) return {ok: true};
+        // Select everything and retype it, so Ctrl+Z restores the original
+        field.focus();
+        field.select();
+        if (!document.execCommand('insertText', false, converted)) {
+          field.value = converted;
+          field.dispatchEvent(new window.InputEvent('input', {bubbles: true, inputType: 'insertReplacementText'}));
+        }
+        return {ok: true};
+      }
+      // Convert text node by node to keep the formatting of rich editors
+      const walker = document.createTreeWalker(field, NodeFilter.SHOW_TEXT, null, false);
+      let node;
+      while ((node = walker.nextNode())) {
+        const converted = convert(node.data);
+        if (converted !== node.data) node.data = converted;
+      }
+      field.dispatchEvent(new window.InputEvent('input', {bubbles: true, inputType: 'insertReplacementText'}));
+      return {ok: true};
+    } finally {
+      busy = false;
+    }
+  }
+
+  /**
+   * Puts text on the clipboard, falling back to a hidden textarea and the copy
+   * command where the async clipboard API is unavailable.
+   * @param {string} text - The text to copy.
+   */
+  async function copyText(text) {
+    try {
+      await window.navigator.clipboard.writeText(text);
+      return;
+    } catch (e) {
+      // Fall through to the legacy copy command
+    }
+    const area = document.createElement('textarea');
+    area.value = text;
+    area.style.position = 'fixed';
+    area.style.opacity = '0';
+    document.body.appendChild(area);
+    area.select();
+    document.execCommand('copy');
+    area.remove();
+  }
+
+  /**
+   * Transliterates the current selection and copies it, or replaces it in
+   * place when it is inside an editable field and the user enabled that.
+   * @param {string} direction - 'cyr_to_lat' or 'lat_to_cyr'.
+   * @param {string} [alphabet='sr'] - Alphabet profile of the page's rule.
+   * @returns {Promise<{ok: boolean, replaced?: boolean}>} ok=false when nothing is selected.
+   */
+  async function convertSelection(direction, alphabet = 'sr') {
+    const settings = await storage.getSettings();
+    const options = Object.assign(await storage.getConversionOptions(), {alphabet});
+    const convert = direction === 'cyr_to_lat'
+      ? text => engine.toLatin(text, options)
+      : text => engine.toCyrillic(text, options);
+
+    const field = editableField(deepActiveElement());
+    let selected = '';
+    if (field && isTextControl(field)) {
+      selected = field.value.slice(field.selectionStart, field.selectionEnd);
+    } else {
+      const selection = field && field.getRootNode().getSelection
+        ? field.getRootNode().getSelection()
+        : window.getSelection();
+      selected = selection ? selection.toString() : '';
+    }
+    if (!selected) return {ok: false};
+
+    const converted = convert(selected);
+    if (field && settings.selection.replaceInEditable) {
+      busy = true;
+      try {
+        if (!document.execCommand('insertText', false, converted) && isTextControl(field)) {
+          field.setRangeText(converted, field.selectionStart, field.selectionEnd, 'end');
+          field.dispatchEvent(new window.InputEvent('input', {bubbles: true, inputType: 'insertReplacementText'}));
+        }
+      } finally {
+        busy = false;
+      }
+      return {ok: true, replaced: true};
+    }
+    await copyText(converted);
+    return {ok: true, replaced: false};
+  }
+
+  window.srbTranslitTyping = {
+    toggleFocused,
+    convertFocused,
+    convertSelection,
+  };
+
+})();
@@ -0,0 +1,312 @@
+/*eslint-env node, es6*/
+'use strict';
+
+// Corpus for srbtranslitEngine.js, loaded through its CommonJS export.
+// Run all tests with: node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../srbtranslitEngine.js');
+
+/**
+ * Checks a table of [input, expected] pairs against one conversion.
+ * @param {function(string): string} convert - The conversion.
+ * @param {Array<Array<string>>} cases - Input and expected output.
+ */
+function table(convert, cases) {
+  cases.forEach(([input, expected]) => {
+    assert.equal(convert(input), expected, input);
+  });
+}
+
+test('replaceMap covers the 30 letters of the Serbian alphabet in both cases', () => {
+  const upper = 'АБВГДЂЕЖЗИЈКЛЉМНЊОПРСТЋУФХЦЧЏШ';
+  assert.equal(Object.keys(engine.replaceMap).length, 60);
+  for (const c of upper + upper.toLowerCase()) {
+    assert.ok(engine.replaceMap[c], c);
+  }
+});
+
+test('toLatin converts with replaceMap', () => {
+  table(text => engine.toLatin(text), [
+    ['Београд', 'Beograd'],
+    ['Ђорђе Балашевић', 'Đorđe Balašević'],
+    ['шта ћеш, жабо, џем и чај', 'šta ćeš, žabo, džem i čaj'],
+    ['љубав и њега', 'ljubav i njega'],
+    ['Нови Сад 2024.', 'Novi Sad 2024.'],
+    ['', ''],
+  ]);
+});
+
+test('SEQ_MAP_LAT2CYR maps every digraph casing to one letter', () => {
+  Object.keys(engine.SEQ_MAP_LAT2CYR).forEach(seq => {
+    assert.equal(engine.SEQ_MAP_LAT2CYR[seq].length, 1, seq);
+  });
+  table(text => engine.toCyrillic(text), [
+    ['ljubav', 'љубав'],
+    ['njiva', 'њива'],
+    ['džem', 'џем'],
+    ['Džep', 'Џеп'],
+    ['DŽEP', 'ЏЕП'],
+    ['Njegoš', 'Његош'],
+    ['LJUBAV', 'ЉУБАВ'],
+    ['Djordje', 'Ђорђе'],
+    ['dzak', 'џак'],
+  ]);
+});
+
+test('toCyrillic converts single letters', () => {
+  table(text => engine.toCyrillic(text), [
+    ['Beograd', 'Београд'],
+    ['Đorđe Balašević', 'Ђорђе Балашевић'],
+    ['šta ćeš, žabo, čaj', 'шта ћеш, жабо, чај'],
+    ['   ', '   '],
+  ]);
+});
+
+test('applyExceptions splits digraphs that are two letters', () => {
+  table(text => engine.applyExceptions(text), [
+    ['injekcija', 'iнјekcija'],
+    ['konjunkcija', 'koнјunkcija'],
+    ['podjednako', 'poдјednako'],
+    ['nadživeti', 'naджiveti'],
+    ['odžak', 'odžak'],
+    ['ljubav', 'ljubav'],
+  ]);
+});
+
+test('applyExceptions runs before the digraph maps in toCyrillic', () => {
+  table(text => engine.toCyrillic(text), [
+    ['injekcija', 'инјекција'],
+    ['Konjunkcija', 'Конјункција'],
+    ['tanjon', 'танјон'],
+    ['vanjezički', 'ванјезички'],
+    ['odjednom', 'одједном'],
+    ['predjelo', 'предјело'],
+    ['odžak', 'оџак'],
+  ]);
+  assert.equal(engine.toCyrillic('injekcija', {exceptions: false}), 'ињекција');
+});
+
+test('round trip keeps plain Serbian text', () => {
+  const text = 'Ljubav, njega i džem: Đorđe je juče došao u Niš.';
+  assert.equal(engine.toLatin(engine.toCyrillic(text)), text);
+});
+
+test('toCyrillic keeps addresses and foreign tokens in Latin', () => {
+  table(text => engine.toCyrillic(text), [
+    ['Idi na www.google.com danas', 'Иди на www.google.com данас'],
+    ['Piši na info@firma.rs', 'Пиши на info@firma.rs'],
+    ['Prati #vesti i @korisnik', 'Прати #vesti и @korisnik'],
+    ['iPhone i JavaScript', 'iPhone и JavaScript'],
+    ['XIV vek', 'XIV век'],
+    ['LIV vek', 'LIV век'],
+    ['Wi-Fi mreža', 'Wi-Fi мрежа'],
+  ]);
+  assert.equal(engine.toCyrillic('iPhone', {protect: false}), 'иПхоне');
+  assert.equal(engine.toCyrillic('LIV vek', {protect: {romanNumerals: false}}), 'ЛИВ век');
+});
+
+test('toCyrillic keeps bare host names with any top-level domain', () => {
+  table(text => engine.toCyrillic(text), [
+    ['Gledaj na arenasport.tv danas', 'Гледај на arenasport.tv данас'],
+    ['Čitaj lenta.ru i lemonde.fr', 'Читај lenta.ru и lemonde.fr'],
+    ['Sajt Primer.com.au/vesti', 'Сајт Primer.com.au/vesti'],
+    ['POSETITE RTS.RS DANAS', 'ПОСЕТИТЕ RTS.RS ДАНАС'],
+    ['Idi na HTTPS://Primer.rs/a', 'Иди на HTTPS://Primer.rs/a'],
+    // A missing space after a full stop is not a host name
+    ['Dobar dan.Kako si', 'Добар дан.Како си'],
+    ['verzija 1.2 i 3.5 cm', 'верзија 1.2 и 3.5 цм'],
+  ]);
+});
+
+test('acronyms are only capitals that cannot be a Serbian word', () => {
+  table(text => engine.toCyrillic(text), [
+    ['HTML', 'HTML'],
+    ['PDF i HTML', 'PDF и HTML'],
+    ['NOVI HTML STANDARD', 'НОВИ HTML СТАНДАРД'],
+    ['Rekao je MI idemo', 'Рекао је МИ идемо'],
+    ['PAŽNJA, vozi polako', 'ПАЖЊА, вози полако'],
+    ['KONJUNKCIJA', 'КОНЈУНКЦИЈА'],
+    ['NATO i MUP', 'НАТО и МУП'],
+    ['TRG REPUBLIKE', 'ТРГ РЕПУБЛИКЕ'],
+  ]);
+});
+
+test('dictionary entries follow the case of the page text', () => {
+  const dictionary = [
+    {latin: 'iPhone', cyrillic: 'ајфон'},
+    {latin: 'njutn', cyrillic: 'њутн'},
+    {latin: 'Tanjug', cyrillic: 'Танјуг'},
+  ];
+  table(text => engine.toLatin(text, {dictionary}), [
+    ['ајфон', 'iPhone'],
+    ['Ајфон', 'iPhone'],
+    ['АЈФОН', 'IPHONE'],
+    ['Њутн', 'Njutn'],
+    ['ЊУТН', 'NJUTN'],
+    ['танјуг', 'Tanjug'],
+  ]);
+  table(text => engine.toCyrillic(text, {dictionary}), [
+    ['iphone', 'ајфон'],
+    ['Njutn', 'Њутн'],
+    ['NJUTN', 'ЊУТН'],
+    ['Tanjug', 'Танјуг'],
+    ['TANJUG', 'ТАНЈУГ'],
+  ]);
+});
+
+test('the Montenegrin profile adds Ś and Ź', () => {
+  const me = {alphabet: 'me'};
+  table(text => engine.toLatin(text, me), [
+    ['с́ети', 'śeti'],
+    ['З́ет', 'Źet'],
+    ['Сједи', 'Sjedi'],
+  ]);
+  table(text => engine.toCyrillic(text, me), [
+    ['śeti', 'с́ети'],
+    ['Źet', 'З́ет'],
+    ['Njegoš', 'Његош'],
+  ]);
+  // The Serbian profile leaves them as they are
+  assert.equal(engine.toCyrillic('śuma'), 'śума');
+});
+
+test('the Macedonian profile has Ѓ, Ќ, Ѕ, Ѐ and Ѝ instead of Ђ and Ћ', () => {
+  const mk = {alphabet: 'mk'};
+  table(text => engine.toLatin(text, mk), [
+    ['Ѓорѓи', 'Ǵorǵi'],
+    ['Ќерка', 'Ḱerka'],
+    ['Ѕвезда', 'Dzvezda'],
+    ['ЅИД', 'DZID'],
+    ['ѐ и ѝ', 'è i ì'],
+  ]);
+  table(text => engine.toCyrillic(text, mk), [
+    ['Ǵorǵi', 'Ѓорѓи'],
+    ['ǵavol', 'ѓавол'],
+    ['Ḱerka', 'Ќерка'],
+    ['Dzvezda', 'Ѕвезда'],
+    ['è i ì', 'ѐ и ѝ'],
+    ['Njiva', 'Њива'],
+    // "dj" is not a Macedonian digraph
+    ['djak', 'дјак'],
+  ]);
+  assert.equal(engine.toLatin('Ђорђе', mk), 'Ђorђe');
+});
+
+test('every profile round-trips its own letters', () => {
+  [
+    ['sr', 'Ђорђе, шта ћеш, љубав, њива, џем'],
+    ['me', 'С́ети, з́ет, љубав, њива, џем'],
+    ['mk', 'Ѓорѓи, Ќерка, Ѕвезда, љубов, њива, џем'],
+  ].forEach(([alphabet, text]) => {
+    assert.equal(engine.toCyrillic(engine.toLatin(text, {alphabet}), {alphabet}), text, alphabet);
+  });
+  assert.deepEqual(engine.ALPHABET_NAMES, ['sr', 'me', 'mk']);
+});
+
+test('Љ, Њ and Џ take their case from the word around them', () => {
+  table(text => engine.toLatin(text), [
+    ['Љубав', 'Ljubav'],
+    ['ЉУБАВ', 'LJUBAV'],
+    ['Његош', 'Njegoš'],
+    ['ЊЕГОШ', 'NJEGOŠ'],
+    ['Џеп', 'Džep'],
+    ['ЏЕП', 'DŽEP'],
+    ['Џ', 'Dž'],
+    ['Љ.', 'Lj.'],
+    ['ЏЏ', 'DŽDŽ'],
+    ['ДЏ.', 'DDŽ.'],
+    ['ЉЉ ФК', 'LJLJ FK'],
+    ['У ЉУБАВИ', 'U LJUBAVI'],
+    ['Ѕвоно ЅВОНО', 'Ѕvono ЅVONO'],
+  ]);
+  table(text => engine.toLatin(text, {alphabet: 'mk'}), [
+    ['Ѕвоно', 'Dzvono'],
+    ['ЅВОНО', 'DZVONO'],
+  ]);
+});
+
+test('mixed-case digraphs follow their word, also with protection on', () => {
+  [{}, {protect: false}].forEach(options => {
+    table(text => engine.toCyrillic(text, options), [
+      ['nJegoš', 'његош'],
+      ['nJega', 'њега'],
+      ['KOnJI', 'КОЊИ'],
+      ['Nj', 'Њ'],
+      ['NJEGOŠ', 'ЊЕГОШ'],
+      ['Njegoš', 'Његош'],
+      ['dŽep', 'џеп'],
+      ['dŽEP', 'ЏЕП'],
+      ['lJ', 'љ'],
+      ['KOlJ', 'КОЉ'],
+      ['dJak', 'ђак'],
+      ['DJak', 'Ђак'],
+      ['dZep', 'џеп'],
+    ]);
+  });
+  // A real case break next to a digraph is still camelCase
+  assert.equal(engine.toCyrillic('iPhone i konJavaScript'), 'iPhone и konJavaScript');
+});
+
+test('foreignLetterShare tells other languages from Serbian', () => {
+  const share = (text, script, alphabet) => engine.foreignLetterShare(text, script, alphabet);
+  assert.equal(share('Здраво, како сте? Ово је вест о времену у Београду.', 'cyrillic'), 0);
+  assert.equal(share('Zdravo, kako ste? Đorđe je juče došao u Niš.', 'latin'), 0);
+  assert.ok(share('Привет, как дела? Это страница о новостях и погоде.', 'cyrillic') > 0.02);
+  assert.ok(share('Привіт, як справи? Це сторінка про новини та погоду.', 'cyrillic') > 0.02);
+  assert.ok(share('Здравейте, как сте? Това е страница за новините и времето.', 'cyrillic') > 0.02);
+  assert.ok(share('Hello, how are you? This is a page about the news and the weather.', 'latin') > 0.02);
+  // Macedonian letters belong to the Macedonian profile only
+  assert.ok(share('Ѓорѓи и Ќерка', 'cyrillic') > 0);
+  assert.equal(share('Ѓорѓи и Ќерка', 'cyrillic', 'mk'), 0);
+  assert.equal(share('1234', 'latin'), 0);
+});
+
+test('foldToAscii writes each letter with the chosen spelling', () => {
+  const digraphs = {'č': 'ch', 'ć': 'c', 'š': 'sh', 'ž': 'zh', 'đ': 'dj'};
+  [
+    ['Čaša šećera', 'Casa secera', 'Chasha shecera'],
+    ['Đorđe', 'Djordje', 'Djordje'],
+    ['ĐORĐE', 'DJORDJE', 'DJORDJE'],
+    ['Žaba ŽABA', 'Zaba ZABA', 'Zhaba ZHABA'],
+    ['Šta Ćeš', 'Sta Ces', 'Shta Cesh'],
+    ['Beograd', 'Beograd', 'Beograd'],
+  ].forEach(([text, plain, chosen]) => {
+    assert.equal(engine.foldToAscii(text), plain, text);
+    assert.equal(engine.foldToAscii(text, true), plain, text);
+    assert.equal(engine.foldToAscii(text, digraphs), chosen, text);
+  });
+  // Unknown spellings fall back to the first choice
+  assert.equal(engine.foldToAscii('Đorđe šiša', {'đ': 'dz', 'š': 'x'}), 'Djordje sisa');
+  assert.equal(engine.foldToAscii('Đorđe', {'đ': 'd'}), 'Dorde');
+  assert.equal(engine.foldToAscii('ǵ ḱ ś ź'), 'gj kj s z');
+  assert.equal(engine.toLatin('Ђорђе шиша жабу', {ascii: {'š': 'sh'}}), 'Djordje shisha zabu');
+});
+
+test('the ch, sh and zh guesses read ASCII text and respect prefixes', () => {
+  const heuristics = {ch: true, sh: true, zh: true};
+  table(text => engine.toCyrillic(text, {heuristics}), [
+    ['chokolada', 'чоколада'],
+    ['Shta kazhesh', 'Шта кажеш'],
+    ['ZHABA', 'ЖАБА'],
+    ['ishrana', 'исхрана'],
+    ['Ishod', 'Исход'],
+    ['rashod', 'расход'],
+    ['RASHLADNI', 'РАСХЛАДНИ'],
+    ['neishranjen', 'неисхрањен'],
+    ['izhod', 'изход'],
+    ['razhladiti', 'разхладити'],
+    ['bezhrabar', 'безхрабар'],
+    ['kosha', 'коша'],
+  ]);
+  // Off by default: "sh" is two letters in regular Latin
+  table(text => engine.toCyrillic(text), [
+    ['shvatiti', 'схватити'],
+    ['ishrana', 'исхрана'],
+    ['zhurka', 'зхурка'],
+  ]);
+  assert.deepEqual(engine.findExceptions('ishrana', 'sr', heuristics),
+    [{index: 1, digraph: 'sh', rule: 'is|h', prefix: ''}]);
+  assert.deepEqual(engine.findExceptions('ishrana'), []);
+});
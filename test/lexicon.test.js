@@ -0,0 +1,106 @@
+/*eslint-env node, es6*/
+'use strict';
+
+// Regression corpus for the digraph exception lexicon (srbtranslitLexicon.js).
+// Run all tests with: node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../srbtranslitEngine.js');
+const lexicon = require('../srbtranslitLexicon.js');
+
+/**
+ * Checks Latin → Cyrillic conversions of whole words.
+ * @param {Array<string>} words - Each entry "latin cyrillic".
+ * @param {Object} [options] - Options for toCyrillic().
+ */
+function corpus(words, options) {
+  words.forEach(pair => {
+    const [latin, cyrillic] = pair.split(' ');
+    assert.equal(engine.toCyrillic(latin, options), cyrillic, latin);
+  });
+}
+
+test('the lexicon is versioned data', () => {
+  assert.match(lexicon.VERSION, /^\d+\.\d+\.\d+$/);
+  assert.equal(engine.LEXICON_VERSION, lexicon.VERSION);
+  Object.keys(lexicon.STEMS).forEach(digraph => {
+    lexicon.STEMS[digraph].forEach(stem => {
+      const [before, after] = stem.split('|');
+      assert.ok(before && after, stem);
+      assert.equal(before.slice(-1) + after.charAt(0), digraph.slice(0, 1) + digraph.slice(1, 2), stem);
+    });
+  });
+});
+
+test('nj stays two letters in loanwords, inflected and capitalized', () => {
+  corpus([
+    'injekcija инјекција', 'injekcijom инјекцијом', 'Injekcije Инјекције', 'INJEKCIJA ИНЈЕКЦИЈА',
+    'injekcioni инјекциони', 'injektor инјектор', 'injektirati инјектирати', 'injicirati инјицирати',
+    'injunkcija инјункција', 'konjugacija конјугација', 'konjugovati конјуговати',
+    'konjunkcija конјункција', 'konjunktura конјунктура', 'konjunktiv конјунктив', 'konjektura конјектура',
+    'anjon анјон', 'anjonski анјонски', 'tanjon танјон', 'Tanjug Танјуг', 'Tanjuga Танјуга',
+    'vanjezički ванјезички', 'izvanjezički изванјезички',
+  ]);
+});
+
+test('nj is one letter everywhere else', () => {
+  corpus([
+    'konj коњ', 'konja коња', 'konjić коњић', 'Konjic Коњиц', 'njiva њива', 'Njegoš Његош', 'knjiga књига',
+    'banja бања', 'tanjir тањир', 'injem ињем', 'sanjati сањати', 'vanjski вањски', 'manje мање',
+  ]);
+});
+
+test('dj stays two letters after od-, pod-, nad- and pred-, also behind other prefixes', () => {
+  corpus([
+    'odjek одјек', 'odjednom одједном', 'odjeća одјећа', 'odjel одјел', 'odjava одјава',
+    'podjednako подједнако', 'podjela подјела', 'podjarmiti подјармити',
+    'nadjačati надјачати', 'nadjev надјев', 'nadjenuti надјенути',
+    'predjelo предјело', 'predjeli предјели', 'raspodjela расподјела', 'razodjenuti разодјенути',
+    'neodjeven неодјевен', 'Odjednom Одједном',
+  ]);
+});
+
+test('dj stays two letters in ijekavian words', () => {
+  corpus([
+    'djeca дјеца', 'djecom дјецом', 'djed дјед', 'djedovina дједовина', 'djelo дјело', 'djelovati дјеловати',
+    'dodjela додјела', 'udjel удјел', 'sudjelovati судјеловати', 'djeteta дјетета', 'djetinjstvo дјетињство',
+    'djevojka дјевојка', 'Djevojke Дјевојке', 'gdje гдје', 'negdje негдје', 'nigdje нигдје', 'svugdje свугдје',
+    'ovdje овдје', 'ondje ондје', 'vidjeti видјети', 'vidjela видјела', 'predvidjeti предвидјети',
+    'zavidjeti завидјети', 'sjedjeti сједјети', 'stidjeti стидјети', 'bdjeti бдјети',
+  ]);
+});
+
+test('dj written for đ stays one letter, also in verb forms that look like a boundary', () => {
+  corpus([
+    'Djordje Ђорђе', 'djak ђак', 'medju међу', 'redjati ређати', 'djavo ђаво', 'vidjen виђен',
+    'nadji нађи', 'nadjem нађем', 'nadjen нађен', 'pronadji пронађи', 'podji пођи', 'podjemo пођемо',
+    'podje пође', 'predji пређи', 'predjen пређен', 'dodji дођи', 'dodjete дођете', 'udji уђи',
+    'udjete уђете', 'prodji прођи', 'prodjete прођете', 'pridji приђи', 'zadji зађи',
+  ]);
+});
+
+test('dž and dz stay two letters after prefixes only', () => {
+  corpus([
+    'nadživeti надживети', 'nadživjeti надживјети', 'podžanr поджанр', 'predžetveni преджетвени',
+    'odžak оџак', 'džep џеп', 'hodža хоџа', 'odzvoniti одзвонити', 'podzemni подземни', 'nadzor надзор',
+    'predzadnji предзадњи', 'ispodzemni исподземни', 'dzak џак',
+  ]);
+});
+
+test('the heuristics and the exceptions switch work together', () => {
+  assert.equal(engine.toCyrillic('djak gdje', {heuristics: {dj: false}}), 'дјак гдје');
+  assert.equal(engine.toCyrillic('injekcija', {exceptions: false}), 'ињекција');
+  assert.equal(engine.toCyrillic('podzemni', {alphabet: 'mk'}), 'подземни');
+});
+
+test('findExceptions reports the rule and the prefixes', () => {
+  assert.deepEqual(engine.findExceptions('injekcijom'),
+    [{index: 1, digraph: 'nj', rule: 'in|jekc', prefix: ''}]);
+  assert.deepEqual(engine.findExceptions('raspodjela'),
+    [{index: 5, digraph: 'dj', rule: 'pod|j', prefix: 'ras'}]);
+  assert.deepEqual(engine.findExceptions('Nadživeti'),
+    [{index: 2, digraph: 'dž', rule: 'nad|ž', prefix: ''}]);
+  assert.deepEqual(engine.findExceptions('nadji i pronadji'), []);
+  assert.equal(engine.findExceptions('djeca i injekcija').length, 2);
+});
@@ -0,0 +1,88 @@
+/*eslint-env node, es6*/
+'use strict';
+
+// Tests for srbtranslitRules.js and the Public Suffix List snapshot.
+// Run all tests with: node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const rules = require('../srbtranslitRules.js');
+
+test('registrableDomain uses the Public Suffix List', () => {
+  [
+    ['www.abc.net.au', 'abc.net.au'],
+    ['news.com.au', 'news.com.au'],
+    ['www.example.co.jp', 'example.co.jp'],
+    ['example.com.br', 'example.com.br'],
+    ['www.bbc.co.uk', 'bbc.co.uk'],
+    ['vesti.primer.co.rs', 'primer.co.rs'],
+    ['moj.in.rs', 'moj.in.rs'],
+    ['www.rts.rs', 'rts.rs'],
+    ['blog.example.com', 'example.com'],
+    ['korisnik.github.io', 'korisnik.github.io'],
+    ['a.b.github.io', 'b.github.io'],
+    ['WWW.Example.RS.', 'example.rs'],
+  ].forEach(([host, expected]) => {
+    assert.equal(rules.registrableDomain(host), expected, host);
+  });
+});
+
+test('registrableDomain handles wildcard and exception rules', () => {
+  // *.ck with the exception !www.ck
+  assert.equal(rules.registrableDomain('x.y.ck'), 'x.y.ck');
+  assert.equal(rules.registrableDomain('a.x.y.ck'), 'x.y.ck');
+  assert.equal(rules.registrableDomain('www.ck'), 'www.ck');
+  assert.equal(rules.registrableDomain('a.www.ck'), 'www.ck');
+});
+
+test('registrableDomain never returns a bare public suffix for a site', () => {
+  ['net.au', 'com.au', 'co.jp', 'com.br', 'co.rs'].forEach(suffix => {
+    assert.equal(rules.registrableDomain('www.example.' + suffix), 'example.' + suffix);
+    assert.deepEqual(rules.originPatternsForBase(rules.registrableDomain('www.example.' + suffix)),
+      [`*://example.${suffix}/*`, `*://*.example.${suffix}/*`]);
+  });
+});
+
+test('registrableDomain leaves IP addresses and single labels alone', () => {
+  assert.equal(rules.registrableDomain('192.168.0.1'), '192.168.0.1');
+  assert.equal(rules.registrableDomain('localhost'), 'localhost');
+  assert.equal(rules.registrableDomain(''), null);
+});
+
+test('findRule prefers paths, then exact hosts, then longer hosts', () => {
+  const map = {
+    'primer.rs': {direction: 'lat_to_cyr'},
+    'vesti.primer.rs': {direction: 'cyr_to_lat'},
+    'primer.rs/sr/': {direction: 'auto_cyr'},
+    '*.primer.rs/*/lat/*': {direction: 'auto_lat'},
+  };
+  const key = url => (rules.findRule(map, url) || {}).key;
+  assert.equal(key('https://primer.rs/'), 'primer.rs');
+  assert.equal(key('https://www.primer.rs/en/'), 'primer.rs');
+  assert.equal(key('https://vesti.primer.rs/'), 'vesti.primer.rs');
+  assert.equal(key('https://primer.rs/sr/vesti'), 'primer.rs/sr/');
+  assert.equal(key('https://vesti.primer.rs/a/lat/b'), '*.primer.rs/*/lat/*');
+  assert.equal(key('https://drugi.rs/'), undefined);
+});
+
+test('findCoverage prefers a rule, then the blocklist, then the global mode', () => {
+  const map = {'primer.rs': {direction: 'lat_to_cyr', alphabet: 'me'}};
+  const global = {enabled: true, direction: 'auto_lat', alphabet: 'sr', blocklist: ['github.com', 'primer.rs']};
+  assert.deepEqual(rules.findCoverage(map, global, 'https://www.primer.rs/'),
+    {source: 'rule', key: 'primer.rs', rule: {direction: 'lat_to_cyr', alphabet: 'me'}});
+  assert.deepEqual(rules.findCoverage(map, global, 'https://gist.github.com/a'),
+    {source: 'blocked', key: 'github.com', rule: null});
+  assert.deepEqual(rules.findCoverage(map, global, 'http://vesti.rs/'),
+    {source: 'global', key: null, rule: {direction: 'auto_lat', alphabet: 'sr'}});
+});
+
+test('findCoverage leaves the global mode to web pages and to when it is on', () => {
+  const map = {'primer.rs': {direction: 'lat_to_cyr'}};
+  const global = {enabled: true, direction: 'auto_lat', alphabet: 'sr', blocklist: []};
+  ['about:blank', 'file:///home/a.html', 'moz-extension://id/options.html', 'ftp://vesti.rs/'].forEach(url => {
+    assert.equal(rules.findCoverage(map, global, url), null, url);
+  });
+  assert.equal(rules.findCoverage(map, Object.assign({}, global, {enabled: false}), 'https://vesti.rs/'), null);
+  assert.equal(rules.findCoverage(map, undefined, 'https://vesti.rs/'), null);
+  assert.equal(rules.findCoverage(map, global, 'https://primer.rs/').source, 'rule');
+});
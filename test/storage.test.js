@@ -0,0 +1,116 @@
+/*eslint-env node, es6*/
+'use strict';
+
+// Tests for the sync helpers of srbtranslitStorage.js.
+// Run all tests with: node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const storage = require('../srbtranslitStorage.js');
+
+/**
+ * Builds a synced document.
+ * @param {Object} rules - Map of domain → [rule, time].
+ * @param {Array} settings - [value, time].
+ * @param {Array} dictionary - [value, time].
+ * @return {Object} The document.
+ */
+function doc(rules, settings, dictionary) {
+  const entries = {};
+  Object.keys(rules).forEach(domain => {
+    entries[domain] = {rule: rules[domain][0], time: rules[domain][1]};
+  });
+  return {
+    format: 1,
+    rules: entries,
+    settings: {value: settings[0], time: settings[1]},
+    dictionary: {value: dictionary[0], time: dictionary[1]},
+  };
+}
+
+const WORD = [{latin: 'iPhone', cyrillic: 'ајфон'}];
+const LAT = {direction: 'cyr_to_lat'};
+const CYR = {direction: 'lat_to_cyr'};
+
+test('mergeSyncData keeps the newest change per domain', () => {
+  const local = doc({'a.rs': [LAT, 5], 'b.rs': [LAT, 9], 'c.rs': [LAT, 1]}, [{}, 0], [[], 0]);
+  const remote = doc({'a.rs': [CYR, 7], 'b.rs': [null, 3], 'd.rs': [CYR, 2]}, [{}, 0], [[], 0]);
+  assert.deepEqual(storage.mergeSyncData(local, remote).rules, {
+    'a.rs': {rule: CYR, time: 7},
+    'b.rs': {rule: LAT, time: 9},
+    'c.rs': {rule: LAT, time: 1},
+    'd.rs': {rule: CYR, time: 2},
+  });
+});
+
+test('mergeSyncData keeps a newer removal', () => {
+  const local = doc({'a.rs': [null, 8]}, [{}, 0], [[], 0]);
+  const remote = doc({'a.rs': [CYR, 7]}, [{}, 0], [[], 0]);
+  assert.deepEqual(storage.mergeSyncData(local, remote).rules['a.rs'], {rule: null, time: 8});
+});
+
+test('mergeSyncData takes settings and the dictionary as a whole', () => {
+  const local = doc({}, [{tooltip: {enabled: true}}, 4], [WORD, 9]);
+  const remote = doc({}, [{tooltip: {enabled: false}}, 6], [[], 2]);
+  const merged = storage.mergeSyncData(local, remote);
+  assert.deepEqual(merged.settings, {value: {tooltip: {enabled: false}}, time: 6});
+  assert.deepEqual(merged.dictionary, {value: WORD, time: 9});
+});
+
+test('mergeSyncData lets the remote side win ties', () => {
+  const local = doc({'a.rs': [LAT, 5]}, [{a: 1}, 5], [WORD, 5]);
+  const remote = doc({'a.rs': [CYR, 5]}, [{b: 1}, 5], [[], 5]);
+  assert.deepEqual(storage.mergeSyncData(local, remote), remote);
+  // Also for unstamped data on both sides
+  const old = doc({'a.rs': [LAT, 0]}, [{a: 1}, 0], [WORD, 0]);
+  const other = doc({'a.rs': [CYR, 0]}, [{b: 1}, 0], [[{latin: 'a', cyrillic: 'б'}], 0]);
+  assert.deepEqual(storage.mergeSyncData(old, other), other);
+});
+
+test('mergeSyncData never replaces unstamped local data with empty copies', () => {
+  // A fresh device uploaded its empty settings and dictionary before this one
+  const local = doc({'a.rs': [LAT, 0]}, [{tooltip: {enabled: true}}, 0], [WORD, 0]);
+  const remote = doc({'a.rs': [null, 0]}, [{}, 0], [[], 0]);
+  assert.deepEqual(storage.mergeSyncData(local, remote), local);
+  // and the other way round the data comes in
+  assert.deepEqual(storage.mergeSyncData(remote, local), local);
+  // A deliberate change on the other device still wins
+  const cleared = doc({}, [{}, 3], [[], 3]);
+  assert.deepEqual(storage.mergeSyncData(local, cleared).dictionary, {value: [], time: 3});
+});
+
+test('mergeSyncData keeps the local document when nothing is synced yet', () => {
+  const local = doc({'a.rs': [LAT, 0]}, [{}, 0], [WORD, 0]);
+  assert.equal(storage.mergeSyncData(local, null), local);
+});
+
+test('chunkText cuts a document into storage.sync items', () => {
+  // QUOTA_BYTES_PER_ITEM of storage.sync, counting the key and the quotes
+  const limit = 8192;
+  const encoder = new TextEncoder();
+  const size = chunk => encoder.encode(JSON.stringify(chunk)).length;
+  [
+    '',
+    '{"a":1}',
+    'x'.repeat(20000),
+    'ђ'.repeat(9000),
+    '"\\n"'.repeat(5000),
+    JSON.stringify({userDictionary: Array(400).fill({latin: 'Ljubav', cyrillic: 'Љубав 😀'})}),
+  ].forEach(json => {
+    const chunks = storage.chunkText(json);
+    assert.equal(chunks.join(''), json);
+    assert.ok(chunks.length >= 1);
+    chunks.forEach(chunk => assert.ok(size(chunk) + 'syncChunk00'.length <= limit, `${size(chunk)} bytes`));
+  });
+  assert.deepEqual(storage.chunkText('{"a":1}'), ['{"a":1}']);
+  assert.equal(storage.chunkText('x'.repeat(20000)).length, 3);
+  // Two-byte letters fill a chunk twice as fast
+  assert.equal(storage.chunkText('ђ'.repeat(9000)).length, 3);
+});
+
+test('chunkText never splits a surrogate pair', () => {
+  const json = '😀'.repeat(5000);
+  storage.chunkText(json).forEach(chunk => {
+    assert.doesNotThrow(() => encodeURIComponent(chunk));
+  });
+});